@@ -3,20 +3,38 @@
  * Initializes and runs the timeline visualization
  */
 
-import { loadConfig, getMovements, getMetadata } from './config.js';
-import { renderTimeline } from './timeline.js';
+import { loadConfig, getMovements, getMetadata, localizeConfig, getDatasets, getCurrentDataset } from './config.js';
+import { renderTimeline, hydrateTimeline } from './timeline.js';
 import { setupInteractions } from './interactions.js';
+import { setupGestures } from './gestures.js';
+import { setupMinimap } from './minimap.js';
+import { setupSearch, buildSearchIndex, updateSearch } from './search.js';
+import { setupPermalink, captureState, restoreState } from './permalink.js';
+import { setupStatistics } from './statistics.js';
+import { setupGraphView } from './graph.js';
+import { setupLineage } from './lineage.js';
+import { setupCompare } from './compare.js';
+import { setupTour } from './tour.js';
+import { setupExport } from './export.js';
+import { setupEditor } from './editor.js';
+import { setupLocale, t, localize } from './i18n.js';
 
 /**
  * Initializes the application
  */
 async function init() {
   try {
-    // Show loading indicator
-    showLoading();
+    // Pick the interface language and translate static markup
+    setupLocale();
 
-    // Load configuration
-    const config = await loadConfig();
+    // Pages built by scripts/build.mjs are already rendered: keep them on screen while loading
+    const timeline = document.getElementById('timeline');
+    const prerendered = Boolean(timeline.dataset.prerendered);
+    if (!prerendered) showLoading();
+
+    // Load the dataset from `?dataset=`, else the one the page was built from, else the default
+    const datasetId = new URLSearchParams(window.location.search).get('dataset') || timeline.dataset.dataset;
+    const config = await loadConfig(datasetId);
 
     // Update page metadata
     updateMetadata(config.metadata || {});
@@ -24,11 +42,56 @@ async function init() {
     // Get movements
     const movements = getMovements();
 
-    // Render timeline
-    renderTimeline(movements);
+    // Render timeline, or take over the pre-rendered one
+    if (prerendered) {
+      hydrateTimeline(movements);
+    } else {
+      renderTimeline(movements);
+    }
+
+    // The static movement sections are for readers without JavaScript
+    document.body.classList.add('hydrated');
 
     // Setup interactions
     setupInteractions();
+    setupGestures();
+    setupDatasetSwitcher();
+
+    // Re-render in the new language when it changes (before modules relabel their own controls)
+    document.addEventListener('timeline:locale', refreshTimeline);
+
+    // Re-render when the data changes (editor preview)
+    document.addEventListener('timeline:data', refreshTimeline);
+
+    // Setup the overview strip
+    setupMinimap();
+
+    // Setup search panel
+    setupSearch(movements);
+
+    // Setup statistics view
+    setupStatistics();
+
+    // Setup network graph view
+    setupGraphView();
+
+    // Setup connection filters and lineage tracing
+    setupLineage();
+
+    // Setup pinning and side-by-side comparison
+    setupCompare();
+
+    // Setup guided tours
+    setupTour();
+
+    // Setup SVG, PNG and poster export
+    setupExport();
+
+    // Setup in-browser movement editor
+    setupEditor();
+
+    // Restore selection, zoom and scroll from the URL, then keep it in sync
+    setupPermalink();
 
     // Hide loading indicator
     hideLoading();
@@ -40,21 +103,65 @@ async function init() {
   }
 }
 
+/**
+ * Re-renders the timeline after a language or data change
+ * Keeps the selection, zoom, scroll position, sidebar state and view
+ */
+function refreshTimeline() {
+  const state = captureState();
+
+  localizeConfig();
+  updateMetadata(getMetadata());
+
+  renderTimeline(getMovements());
+  restoreState(state);
+
+  buildSearchIndex(getMovements());
+  updateSearch();
+}
+
+/**
+ * Fills the dataset dropdown; choosing a dataset reloads the page on it
+ * The dropdown stays hidden when the manifest lists a single dataset
+ */
+function setupDatasetSwitcher() {
+  const select = document.getElementById('dataset-select');
+  const datasets = getDatasets();
+  if (!select || datasets.length < 2) return;
+
+  const render = () => {
+    select.innerHTML = datasets
+      .map(dataset => `<option value="${dataset.id}">${localize(dataset.title)}</option>`)
+      .join('');
+    select.value = getCurrentDataset().id;
+  };
+
+  render();
+  select.classList.remove('hidden');
+  document.addEventListener('timeline:locale', render);
+
+  // The selection and zoom belong to the previous dataset: start from a clean hash
+  select.addEventListener('change', () => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('dataset', select.value);
+    url.hash = '';
+    window.location.assign(url);
+  });
+}
+
 /**
  * Updates page metadata (title, subtitle)
+ * Falls back to the interface messages when the data has none
  * @param {Object} metadata - Metadata object
  */
 function updateMetadata(metadata) {
-  if (metadata.title) {
-    document.title = metadata.title;
-    const h1 = document.querySelector('h1');
-    if (h1) h1.textContent = `🌌 ${metadata.title} 🚀`;
-  }
+  const title = metadata.title || t('app.title');
+  document.title = title;
+  const h1 = document.querySelector('h1');
+  if (h1) h1.textContent = `🌌 ${title} 🚀`;
 
-  if (metadata.subtitle) {
-    const subtitle = document.querySelector('.subtitle');
-    if (subtitle) subtitle.textContent = metadata.subtitle;
-  }
+  const subtitle = document.querySelector('.subtitle');
+  if (subtitle) subtitle.textContent = metadata.subtitle || t('app.subtitle');
 }
 
 /**
@@ -62,7 +169,7 @@ function updateMetadata(metadata) {
  */
 function showLoading() {
   const timeline = document.getElementById('timeline');
-  timeline.innerHTML = '<div style="text-align: center; padding: 50px; color: #00d4ff; font-size: 1.2em;">⏳ Chargement...</div>';
+  timeline.innerHTML = `<div style="text-align: center; padding: 50px; color: #00d4ff; font-size: 1.2em;">${t('app.loading')}</div>`;
 }
 
 /**
@@ -80,9 +187,9 @@ function showError(message) {
   const timeline = document.getElementById('timeline');
   timeline.innerHTML = `
     <div style="text-align: center; padding: 50px; color: #ff6b00;">
-      <h2>❌ Erreur</h2>
+      <h2>${t('app.error')}</h2>
       <p>${message}</p>
-      <p style="color: #888; margin-top: 20px;">Consultez la console pour plus de détails.</p>
+      <p style="color: #888; margin-top: 20px;">${t('app.seeConsole')}</p>
     </div>
   `;
 }
@@ -0,0 +1,422 @@
+/**
+ * Comparison Module
+ * Pins movements and compares them side by side: context, shared authors and works,
+ * period overlap and connection paths
+ */
+
+import { getMovements, getConnectionTypes, findMovementById, getContextSections } from './config.js';
+import {
+  showMovementDetails,
+  showAuthorDetails,
+  getVisibleConnectionTypes,
+  renderAuthor,
+  renderWork,
+  renderContextItem
+} from './timeline.js';
+import { findConnectionPath } from './lineage.js';
+import { scrollToMovementBar } from './interactions.js';
+import { parsePeriod, getSortedWorks, escapeXML } from './utils.js';
+import { t } from './i18n.js';
+
+// More columns would not fit side by side
+export const MAX_PINNED = 4;
+
+let pinned = [];
+
+/**
+ * Sets up pinning from the sidebar, the tray of pinned movements and the comparison overlay
+ */
+export function setupCompare() {
+  const tray = document.getElementById('compare-tray');
+  const overlay = document.getElementById('compare-overlay');
+  const closeButton = document.getElementById('compare-close');
+  const content = document.getElementById('compare-content');
+
+  if (!tray || !overlay || !content) return;
+
+  const render = () => {
+    const movements = pinned.map(findMovementById).filter(Boolean);
+    content.innerHTML = renderComparison(computeComparison(movements, getMovements(), getVisibleConnectionTypes()));
+  };
+
+  const open = () => {
+    if (pinned.length < 2) return;
+    render();
+    overlay.classList.remove('hidden');
+    if (closeButton) closeButton.focus();
+  };
+
+  const close = () => {
+    overlay.classList.add('hidden');
+    const compareButton = tray.querySelector('[data-action="compare"]');
+    if (compareButton) compareButton.focus();
+  };
+
+  // Pin button of the movement shown in the sidebar
+  document.addEventListener('timeline:select', ({ detail }) => renderPinButton(detail.movementId));
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('.pin-toggle');
+    if (button) togglePin(button.getAttribute('data-pin'));
+  });
+
+  tray.addEventListener('click', (event) => {
+    const unpin = event.target.closest('[data-unpin]');
+    if (unpin) {
+      togglePin(unpin.getAttribute('data-unpin'));
+    } else if (event.target.closest('[data-action="compare"]')) {
+      open();
+    } else if (event.target.closest('[data-action="clear"]')) {
+      setPinned([]);
+    }
+  });
+
+  // Pins change from the sidebar, the tray or the URL
+  document.addEventListener('timeline:pins', () => {
+    renderTray(tray);
+    markPinnedBars();
+    const pinButton = document.querySelector('#details-sidebar .pin-toggle');
+    if (pinButton) renderPinButton(pinButton.getAttribute('data-pin'));
+    if (!overlay.classList.contains('hidden')) {
+      if (pinned.length < 2) close();
+      else render();
+    }
+  });
+
+  // Bars are re-created on every render
+  document.addEventListener('timeline:connections', markPinnedBars);
+
+  // Relabel in the new language; drop pins whose movement left the data
+  const refresh = () => {
+    setPinned(pinned);
+    renderTray(tray);
+    if (!overlay.classList.contains('hidden')) render();
+  };
+  document.addEventListener('timeline:locale', refresh);
+  document.addEventListener('timeline:data', refresh);
+
+  if (closeButton) closeButton.addEventListener('click', close);
+
+  // Click on the backdrop closes; click on a movement or an author opens it
+  overlay.addEventListener('click', (event) => {
+    const unpin = event.target.closest('[data-unpin]');
+    const movement = event.target.closest('[data-movement-id]');
+    const author = event.target.closest('.author[data-author-id], .author-link');
+
+    if (unpin) {
+      togglePin(unpin.getAttribute('data-unpin'));
+    } else if (movement) {
+      close();
+      const movementId = movement.getAttribute('data-movement-id');
+      scrollToMovementBar(movementId);
+      showMovementDetails(movementId);
+    } else if (author) {
+      close();
+      showAuthorDetails(author.getAttribute('data-author-id'));
+    } else if (event.target === overlay) {
+      close();
+    }
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !overlay.classList.contains('hidden')) {
+      close();
+    }
+  });
+
+  renderTray(tray);
+}
+
+/**
+ * Gets the pinned movements
+ * @returns {Array<string>} Movement ids, in pinning order
+ */
+export function getPinned() {
+  return [...pinned];
+}
+
+/**
+ * Replaces the pinned movements
+ * Unknown ids are dropped, and only the first MAX_PINNED are kept
+ * @param {Array<string>} ids - Movement ids
+ */
+export function setPinned(ids) {
+  const next = [...new Set(ids)].filter(id => findMovementById(id)).slice(0, MAX_PINNED);
+  if (next.join('|') === pinned.join('|')) return;
+
+  pinned = next;
+  document.dispatchEvent(new CustomEvent('timeline:pins', { detail: { pinned: getPinned() } }));
+}
+
+/**
+ * Pins a movement, or unpins it if already pinned
+ * @param {string} movementId - Movement ID
+ */
+export function togglePin(movementId) {
+  if (pinned.includes(movementId)) {
+    setPinned(pinned.filter(id => id !== movementId));
+  } else if (pinned.length < MAX_PINNED) {
+    setPinned([...pinned, movementId]);
+  }
+}
+
+/**
+ * Compares movements
+ * @param {Array} movements - Movements to compare (with resolved authors)
+ * @param {Array} allMovements - Every movement, for paths through other movements
+ * @param {Set<string>} types - Connection types to follow for paths
+ * @returns {Object} { movements, periods, range, overlap, sharedAuthors, sharedWorks, paths }
+ */
+export function computeComparison(movements, allMovements, types) {
+  const periods = movements.map(movement => parsePeriod(movement.period));
+  const range = {
+    start: Math.min(...periods.map(period => period.start)),
+    end: Math.max(...periods.map(period => period.end))
+  };
+
+  // Years every movement covers
+  const overlapStart = Math.max(...periods.map(period => period.start));
+  const overlapEnd = Math.min(...periods.map(period => period.end));
+  const overlap = overlapStart <= overlapEnd ? { start: overlapStart, end: overlapEnd } : null;
+
+  // Authors and works listed in at least two movements
+  const authors = new Map();
+  const works = new Map();
+  movements.forEach(movement => {
+    movement.authors.forEach(author => {
+      if (!authors.has(author.id)) authors.set(author.id, { author: { ...author, favorite: false }, movementIds: [] });
+      authors.get(author.id).movementIds.push(movement.id);
+    });
+    getSortedWorks(movement.works).forEach(work => {
+      const key = `${work.title}|${work.year}`;
+      if (!works.has(key)) works.set(key, { work, authors: movement.authors, movementIds: [] });
+      const entry = works.get(key);
+      if (!entry.movementIds.includes(movement.id)) entry.movementIds.push(movement.id);
+    });
+  });
+
+  const sharedAuthors = Array.from(authors.values())
+    .filter(entry => entry.movementIds.length > 1)
+    .sort((a, b) => b.movementIds.length - a.movementIds.length || a.author.name.localeCompare(b.author.name));
+  const sharedWorks = Array.from(works.values())
+    .filter(entry => entry.movementIds.length > 1)
+    .sort((a, b) => (a.work.year ?? Infinity) - (b.work.year ?? Infinity));
+
+  // Shortest chain of connections between every pair
+  const paths = [];
+  movements.forEach((from, i) => {
+    movements.slice(i + 1).forEach(to => {
+      paths.push({ from, to, steps: findConnectionPath(from.id, to.id, allMovements, types) });
+    });
+  });
+
+  return { movements, periods, range, overlap, sharedAuthors, sharedWorks, paths };
+}
+
+/**
+ * Renders the comparison view
+ * @param {Object} comparison - Result of computeComparison()
+ * @returns {string} HTML string
+ */
+function renderComparison(comparison) {
+  const { movements, sharedAuthors, sharedWorks, paths } = comparison;
+  const columns = `style="--compare-columns: ${movements.length}"`;
+  const sections = getContextSections().filter(section =>
+    movements.some(movement => movement.context && movement.context[section.key])
+  );
+
+  return `
+    <div class="compare-grid" ${columns}>
+      ${movements.map(movement => `
+        <div class="compare-header">
+          <button type="button" class="compare-unpin" data-unpin="${movement.id}" aria-label="${t('compare.unpin')}" title="${t('compare.unpin')}">×</button>
+          <div class="sidebar-title clickable" data-movement-id="${movement.id}">${movement.title}</div>
+          <div class="sidebar-period">${movement.period}</div>
+          <div class="sidebar-description">${movement.description}</div>
+        </div>
+      `).join('')}
+    </div>
+
+    <div class="section-title">📅 ${t('compare.periods')}</div>
+    ${renderPeriodAxis(comparison)}
+
+    ${sections.length > 0 ? `
+      <div class="section-title">🌍 ${t('sidebar.context')}</div>
+      <div class="compare-grid" ${columns}>
+        ${sections.map(section => `
+          <div class="context-label compare-row-label">${section.icon} ${section.label}</div>
+          ${movements.map(movement => renderContextItem(movement, section, { label: false })).join('')}
+        `).join('')}
+      </div>
+    ` : ''}
+
+    <div class="section-title">👥 ${t('compare.sharedAuthors')} (${sharedAuthors.length})</div>
+    ${sharedAuthors.length > 0 ? `
+      <div class="compare-shared">
+        ${sharedAuthors.map(({ author, movementIds }) => `
+          <div class="compare-shared-item">
+            ${renderAuthor(author)}
+            ${renderMovementTags(movementIds)}
+          </div>
+        `).join('')}
+      </div>
+    ` : `<p class="compare-empty">${t('compare.noSharedAuthors')}</p>`}
+
+    <div class="section-title">📚 ${t('compare.sharedWorks')} (${sharedWorks.length})</div>
+    ${sharedWorks.length > 0 ? `
+      <div class="compare-shared">
+        ${sharedWorks.map(({ work, authors, movementIds }) => `
+          <div class="compare-shared-item">
+            ${renderWork(work, authors, false)}
+            ${renderMovementTags(movementIds)}
+          </div>
+        `).join('')}
+      </div>
+    ` : `<p class="compare-empty">${t('compare.noSharedWorks')}</p>`}
+
+    <div class="section-title">🔗 ${t('compare.paths')}</div>
+    <div class="compare-paths">
+      ${paths.map(renderPath).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Renders the periods of the compared movements on a shared mini axis, shading their common years
+ * @param {Object} comparison - Result of computeComparison()
+ * @returns {string} HTML string
+ */
+function renderPeriodAxis({ movements, periods, range, overlap }) {
+  const span = Math.max(1, range.end - range.start);
+  const position = (start, end) =>
+    `left: ${((start - range.start) / span) * 100}%; width: ${(Math.max(1, end - start) / span) * 100}%`;
+
+  return `
+    <div class="compare-axis">
+      ${movements.map((movement, index) => `
+        <div class="compare-axis-row">
+          <div class="compare-axis-label">${movement.title}</div>
+          <div class="compare-axis-track">
+            ${overlap ? `<div class="compare-axis-overlap" style="${position(overlap.start, overlap.end)}"></div>` : ''}
+            <div class="compare-axis-bar" style="${position(periods[index].start, periods[index].end)}" title="${movement.period}"></div>
+          </div>
+        </div>
+      `).join('')}
+      <div class="compare-axis-row">
+        <div class="compare-axis-label"></div>
+        <div class="compare-axis-scale"><span>${range.start}</span><span>${range.end}</span></div>
+      </div>
+    </div>
+    <p class="compare-note">${overlap
+      ? t('compare.overlap', { start: overlap.start, end: overlap.end, years: overlap.end - overlap.start })
+      : t('compare.noOverlap')}</p>
+  `;
+}
+
+/**
+ * Renders the chain of connections between two movements
+ * @param {Object} path - { from, to, steps } from computeComparison()
+ * @returns {string} HTML string
+ */
+function renderPath({ from, to, steps }) {
+  const connectionTypes = getConnectionTypes();
+  const node = movement => `<span class="compare-path-node clickable" data-movement-id="${movement.id}">${movement.title}</span>`;
+
+  if (!steps) {
+    return `
+      <div class="compare-path">
+        ${node(from)} <span class="compare-path-none">${t('compare.noPath')}</span> ${node(to)}
+      </div>
+    `;
+  }
+
+  const links = steps.map(step => {
+    const type = connectionTypes[step.type] || {};
+    const target = findMovementById(step.to);
+    // The tooltip is the description written by the declaring movement
+    const declaredBy = step.reversed ? target : findMovementById(step.from);
+    return `
+      <span class="compare-path-edge" style="--connection-color: ${type.color}" title="${escapeXML(`${declaredBy ? `${declaredBy.title} : ` : ''}${step.desc || ''}`)}">
+        ${type.icon || ''} ${type.name || step.type}
+      </span>
+      ${node(target || { id: step.to, title: step.to })}
+    `;
+  }).join('');
+
+  return `
+    <div class="compare-path">
+      <div class="compare-path-kind">${steps.length === 1 ? t('compare.direct') : t('compare.indirect', { steps: steps.length })}</div>
+      ${node(from)}${links}
+    </div>
+  `;
+}
+
+/**
+ * Renders the movements an author or a work belongs to, among the compared ones
+ * @param {Array<string>} movementIds - Movement ids
+ * @returns {string} HTML string
+ */
+function renderMovementTags(movementIds) {
+  return `
+    <div class="compare-tags">
+      ${movementIds.map(id => {
+        const movement = findMovementById(id);
+        return `<span class="compare-tag clickable" data-movement-id="${id}">${movement ? movement.title : id}</span>`;
+      }).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Renders the tray of pinned movements, with the compare and clear buttons
+ * Hidden while nothing is pinned
+ * @param {HTMLElement} tray - Tray element
+ */
+function renderTray(tray) {
+  tray.classList.toggle('hidden', pinned.length === 0);
+  tray.innerHTML = `
+    ${pinned.map(id => {
+      const movement = findMovementById(id);
+      return `
+        <span class="compare-chip">
+          ${movement ? movement.title : id}
+          <button type="button" class="compare-chip-remove" data-unpin="${id}" aria-label="${t('compare.unpin')}" title="${t('compare.unpin')}">×</button>
+        </span>
+      `;
+    }).join('')}
+    <button type="button" class="filter-btn" data-action="compare" ${pinned.length < 2 ? `disabled title="${t('compare.hint')}"` : ''}>${t('compare.open', { count: pinned.length })}</button>
+    <button type="button" class="filter-btn" data-action="clear">${t('compare.clear')}</button>
+  `;
+}
+
+/**
+ * Adds the pin button to the movement shown in the sidebar
+ * @param {string|null} movementId - Movement shown, or null
+ */
+function renderPinButton(movementId) {
+  const sidebar = document.getElementById('details-sidebar');
+  if (!sidebar) return;
+
+  const existing = sidebar.querySelector('.pin-toggle');
+  if (existing) existing.remove();
+
+  const period = sidebar.querySelector('.sidebar-period');
+  if (!movementId || !period) return;
+
+  const isPinned = pinned.includes(movementId);
+  const isFull = !isPinned && pinned.length >= MAX_PINNED;
+  period.insertAdjacentHTML('afterend', `
+    <button type="button" class="filter-btn pin-toggle ${isPinned ? 'active' : ''}" data-pin="${movementId}" aria-pressed="${isPinned}"
+            ${isFull ? `disabled title="${t('compare.full', { max: MAX_PINNED })}"` : ''}>
+      ${isPinned ? t('compare.unpin') : t('compare.pin')}
+    </button>
+  `);
+}
+
+/**
+ * Marks the bars of the pinned movements
+ */
+function markPinnedBars() {
+  document.querySelectorAll('.movement-bar').forEach(bar => {
+    bar.classList.toggle('pinned', pinned.includes(bar.dataset.id));
+  });
+}
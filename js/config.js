@@ -1,47 +1,314 @@
 /**
  * Configuration Loader Module
  * Loads and validates configuration data from JSON
+ * The datasets the page can show are listed in config/datasets.json
  */
 
-import { validateMovementData, logValidationErrors } from './validation.js';
+import { validateMovementData, validateTourData, logValidationErrors } from './validation.js';
+import { slugify, getDeclaredConnectionTypes, getDeclaredContextSections } from './utils.js';
+import { localize, t } from './i18n.js';
 
-// Global cache for loaded config
+// Validated data as loaded, with per-language fields
+let sourceData = null;
+let sourceAuthors = {};
+
+// Schema the data was validated against
+let configSchema = null;
+
+// Datasets listed in the manifest, and the one shown
+let datasets = [];
+let currentDataset = null;
+
+// Global cache for loaded config, localized for the current language
 let configData = null;
 
+// Author registry keyed by id, including authors declared inline in movements
+let authorRegistry = {};
+
+// Connection types and context sections of the data, localized
+let connectionTypes = {};
+let contextSections = [];
+
+// Color of connection types declared without one
+const DEFAULT_CONNECTION_COLOR = '#00d4ff';
+
 /**
  * Loads configuration from JSON file
+ * @param {string} [datasetId] - Dataset to show (default: the manifest's default dataset)
  * @returns {Promise<Object>} Configuration data
  * @throws {Error} If loading or validation fails
  */
-export async function loadConfig() {
+export async function loadConfig(datasetId) {
   try {
-    const response = await fetch('./config/movements.json');
+    const manifestResponse = await fetch('./config/datasets.json');
+    if (!manifestResponse.ok) {
+      throw new Error(`Failed to load dataset manifest: ${manifestResponse.statusText}`);
+    }
+
+    const manifest = await manifestResponse.json();
+    datasets = manifest.datasets || [];
+    currentDataset = selectDataset(manifest, datasetId);
+
+    const [response, schemaResponse] = await Promise.all([
+      fetch(`./config/${currentDataset.file}`),
+      fetch('./config/movements.schema.json')
+    ]);
 
     if (!response.ok) {
       throw new Error(`Failed to load configuration: ${response.statusText}`);
     }
+    if (!schemaResponse.ok) {
+      throw new Error(`Failed to load configuration schema: ${schemaResponse.statusText}`);
+    }
+
+    // Keep the raw text so validation issues point at their line
+    const source = await response.text();
+    const schema = await schemaResponse.json();
+
+    return initConfig(source, schema);
+  } catch (error) {
+    console.error('Error loading configuration:', error);
+    throw error;
+  }
+}
 
-    const data = await response.json();
+/**
+ * Loads the guided tours of the shown dataset (the `tours` file of its manifest entry)
+ * Tours are optional: a missing or invalid file only disables them
+ * @returns {Promise<Array>} Tours as written in the file, validated against the dataset (empty if none)
+ */
+export async function loadTours() {
+  if (!currentDataset || !currentDataset.tours) return [];
 
-    // Validate the data
-    const errors = validateMovementData(data.movements);
+  try {
+    const [response, schemaResponse] = await Promise.all([
+      fetch(`./config/${currentDataset.tours}`),
+      fetch('./config/tours.schema.json')
+    ]);
 
-    if (errors.length > 0) {
-      logValidationErrors(errors);
-      throw new Error('Configuration validation failed. See console for details.');
+    if (!response.ok) {
+      throw new Error(`Failed to load tours: ${response.statusText}`);
+    }
+    if (!schemaResponse.ok) {
+      throw new Error(`Failed to load tours schema: ${schemaResponse.statusText}`);
     }
 
-    // Log success
-    logValidationErrors([]);
+    const source = await response.text();
+    const schema = await schemaResponse.json();
+    const tours = JSON.parse(source);
 
-    // Cache the data
-    configData = data;
+    const result = validateTourData(tours, schema, sourceData, source);
+    if (result.errors.length > 0 || result.warnings.length > 0) {
+      logValidationErrors(result);
+    }
 
-    return data;
+    return result.errors.length > 0 ? [] : tours.tours;
   } catch (error) {
-    console.error('Error loading configuration:', error);
-    throw error;
+    console.error('Error loading tours:', error);
+    return [];
+  }
+}
+
+/**
+ * Picks a dataset from the manifest
+ * Unknown ids fall back to the default dataset
+ * @param {Object} manifest - Parsed config/datasets.json ({ default, datasets: [{ id, file, title, tours? }] })
+ * @param {string} [id] - Requested dataset id
+ * @returns {Object} Dataset entry
+ * @throws {Error} If the manifest lists no dataset
+ */
+export function selectDataset(manifest, id) {
+  const entries = manifest.datasets || [];
+  if (entries.length === 0) {
+    throw new Error('The dataset manifest lists no datasets');
+  }
+
+  const requested = entries.find(dataset => dataset.id === id);
+  if (id && !requested) {
+    console.warn(`Dataset '${id}' not found, showing the default one`);
+  }
+
+  return requested || entries.find(dataset => dataset.id === manifest.default) || entries[0];
+}
+
+/**
+ * Gets the datasets listed in the manifest
+ * @returns {Array} Dataset entries ({ id, file, title, tours? })
+ */
+export function getDatasets() {
+  return datasets;
+}
+
+/**
+ * Gets the dataset shown
+ * @returns {Object|null} Dataset entry, or null before loading
+ */
+export function getCurrentDataset() {
+  return currentDataset;
+}
+
+/**
+ * Validates and caches configuration data
+ * Used by loadConfig() and by Node scripts, which read the files themselves
+ * @param {string} source - Raw movements.json text
+ * @param {Object} schema - Parsed movements.schema.json
+ * @returns {Object} Configuration data for the current language
+ * @throws {Error} If validation fails
+ */
+export function initConfig(source, schema) {
+  const data = JSON.parse(source);
+
+  // Validate the data
+  const result = validateMovementData(data, schema, source);
+  logValidationErrors(result);
+
+  if (result.errors.length > 0) {
+    throw new Error('Configuration validation failed. See console for details.');
+  }
+
+  configSchema = schema;
+  setSourceData(data);
+
+  return configData;
+}
+
+/**
+ * Replaces the loaded data, e.g. with the editor's draft
+ * The data must be valid; listeners re-render on `timeline:data`
+ * @param {Object} data - Configuration data (movements.json contents)
+ */
+export function setSourceData(data) {
+  // Cache the data, then resolve authors and pick the current language
+  sourceData = data;
+  sourceAuthors = buildAuthorRegistry(data);
+  localizeConfig();
+}
+
+/**
+ * Gets the loaded data as written in movements.json (per-language fields, author references)
+ * @returns {Object|null} Configuration data, or null before loading
+ */
+export function getSourceData() {
+  return sourceData;
+}
+
+/**
+ * Gets the schema the data was validated against
+ * @returns {Object|null} Parsed movements.schema.json, or null before loading
+ */
+export function getSchema() {
+  return configSchema;
+}
+
+/**
+ * Rebuilds the cached config for the current language
+ * Per-language fields ({ "fr": "...", "en": "..." }) become plain strings and
+ * author references are resolved; call again after a language change
+ */
+export function localizeConfig() {
+  if (!sourceData) return;
+
+  authorRegistry = {};
+  Object.entries(sourceAuthors).forEach(([id, author]) => {
+    authorRegistry[id] = { ...author, bio: localize(author.bio) };
+  });
+
+  const metadata = sourceData.metadata || {};
+  localizeVocabulary(metadata);
+
+  configData = {
+    ...sourceData,
+    metadata: { ...metadata, title: localize(metadata.title), subtitle: localize(metadata.subtitle) },
+    authors: authorRegistry,
+    movements: sourceData.movements.map(localizeMovement)
+  };
+}
+
+/**
+ * Localizes the connection types and context sections of the data
+ * Declared ones carry their own labels; the defaults take theirs from the message catalogs
+ * @param {Object} metadata - Metadata as loaded
+ */
+function localizeVocabulary(metadata) {
+  const declaredTypes = Boolean(metadata.connection_types);
+  connectionTypes = {};
+  Object.entries(getDeclaredConnectionTypes(metadata)).forEach(([key, type]) => {
+    connectionTypes[key] = {
+      icon: type.icon || '',
+      color: type.color || DEFAULT_CONNECTION_COLOR,
+      direction: type.direction || 'none',
+      label: declaredTypes ? localize(type.label) : t(`connectionTypes.${key}.label`),
+      name: declaredTypes ? localize(type.name || type.label) : t(`connectionTypes.${key}.name`)
+    };
+  });
+
+  const declaredSections = Boolean(metadata.context_sections);
+  contextSections = Object.entries(getDeclaredContextSections(metadata)).map(([key, section]) => ({
+    key,
+    icon: section.icon || '',
+    label: declaredSections ? localize(section.label) : t(`sidebar.contextFields.${key}`)
+  }));
+}
+
+/**
+ * Gets the connection types of the loaded data, in declaration order
+ * @returns {Object} Types keyed by id: { icon, color, direction, label, name }
+ */
+export function getConnectionTypes() {
+  return connectionTypes;
+}
+
+/**
+ * Gets the context sections of the loaded data, in display order
+ * @returns {Array} Sections as { key, icon, label }
+ */
+export function getContextSections() {
+  return contextSections;
+}
+
+/**
+ * Gets the loaded config for the current language
+ * Authors are the full registry (including inline authors), movements have resolved authors
+ * @returns {Object|null} Configuration data, or null before loading
+ */
+export function getConfigData() {
+  return configData;
+}
+
+/**
+ * Localizes the text fields of a movement and resolves its authors
+ * The lane set in the data becomes `pinnedLane`: `lane` is the one the layout assigns
+ * @param {Object} movement - Movement as loaded
+ * @returns {Object} Movement copy with plain-string fields
+ */
+function localizeMovement(movement) {
+  const localized = {
+    ...movement,
+    pinnedLane: movement.lane,
+    title: localize(movement.title),
+    description: localize(movement.description),
+    authors: resolveMovementAuthors(movement.authors),
+    works: (movement.works || []).map(work => {
+      if (!work || typeof work !== 'object') return work;
+      return { ...work, title: localize(work.title), original_title: localize(work.original_title) };
+    })
+  };
+
+  if (movement.context) {
+    localized.context = {};
+    Object.entries(movement.context).forEach(([field, text]) => {
+      localized.context[field] = localize(text);
+    });
   }
+
+  if (movement.connections) {
+    localized.connections = {};
+    Object.entries(movement.connections).forEach(([type, connections]) => {
+      localized.connections[type] = (connections || []).map(conn => ({ ...conn, desc: localize(conn.desc) }));
+    });
+  }
+
+  return localized;
 }
 
 /**
@@ -80,3 +347,72 @@ export function findMovementById(id) {
   const movements = getMovements();
   return movements.find(m => m.id === id) || null;
 }
+
+/**
+ * Builds the author registry from the top-level `authors` dictionary
+ * Authors declared inline in movements (legacy { name, gender }) are added under a slug id
+ * @param {Object} data - Raw configuration data
+ * @returns {Object} Registry of author objects keyed by id
+ */
+function buildAuthorRegistry(data) {
+  const registry = {};
+
+  Object.entries(data.authors || {}).forEach(([id, author]) => {
+    registry[id] = { ...author, id };
+  });
+
+  (data.movements || []).forEach(movement => {
+    (movement.authors || []).forEach(ref => {
+      if (ref.id || !ref.name) return;
+      const existing = Object.values(registry).find(author => author.name === ref.name);
+      if (!existing) {
+        const id = slugify(ref.name);
+        registry[id] = { id, name: ref.name, gender: ref.gender };
+      }
+    });
+  });
+
+  return registry;
+}
+
+/**
+ * Resolves a movement's author references into full author objects
+ * @param {Array} refs - Author references ({ id, favorite } or legacy { name, gender, favorite })
+ * @returns {Array} Authors with registry fields plus the per-movement `favorite` flag
+ */
+function resolveMovementAuthors(refs) {
+  return (refs || []).map(ref => {
+    const author = ref.id
+      ? authorRegistry[ref.id]
+      : Object.values(authorRegistry).find(a => a.name === ref.name);
+    return { ...author, favorite: Boolean(ref.favorite) };
+  });
+}
+
+/**
+ * Gets the author registry
+ * @returns {Object} Author objects keyed by id
+ */
+export function getAuthors() {
+  return authorRegistry;
+}
+
+/**
+ * Finds an author by ID
+ * @param {string} id - Author ID to find
+ * @returns {Object|null} Author object or null if not found
+ */
+export function findAuthorById(id) {
+  return authorRegistry[id] || null;
+}
+
+/**
+ * Gets every movement an author belongs to
+ * @param {string} authorId - Author ID
+ * @returns {Array} Movements listing this author, in timeline order
+ */
+export function getMovementsByAuthor(authorId) {
+  return getMovements().filter(movement =>
+    movement.authors.some(author => author.id === authorId)
+  );
+}
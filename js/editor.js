@@ -0,0 +1,954 @@
+/**
+ * Editor Module
+ * In-browser movement editor: forms for every field, live validation and preview,
+ * drafts kept in localStorage per dataset, and a stable JSON download
+ */
+
+import {
+  getSourceData,
+  setSourceData,
+  getSchema,
+  findMovementById,
+  getCurrentDataset,
+  getConnectionTypes,
+  getContextSections
+} from './config.js';
+import { validateMovementData, formatIssue } from './validation.js';
+import { formatMovementData } from './serializer.js';
+import { showMovementDetails } from './timeline.js';
+import { scrollToMovementBar } from './interactions.js';
+import { downloadBlob } from './export.js';
+import { WORK_TYPES, parseWork, slugify, formatWorkType, escapeXML } from './utils.js';
+import { LOCALES, DEFAULT_LOCALE, t, localize, isLocalizedText } from './i18n.js';
+
+const STORAGE_KEY = 'sf-history-draft';
+
+// Delay between the last keystroke and validation, preview and draft saving (ms)
+const UPDATE_DELAY = 300;
+
+const GENDERS = ['F', 'M', 'NB', 'U'];
+
+// Editing state: the draft dataset, the form model of the selected movement,
+// the data the page loaded (restored on close) and the author ids created while typing
+const state = {
+  draft: null,
+  published: null,
+  selected: 0,
+  model: null,
+  createdAuthors: new Set(),
+  status: '',
+  timer: null
+};
+
+/**
+ * Sets up the editor: header button, panel and form events
+ */
+export function setupEditor() {
+  const toggleButton = document.getElementById('editor-toggle');
+  const panel = document.getElementById('editor-panel');
+
+  if (!toggleButton || !panel) return;
+
+  toggleButton.addEventListener('click', () => {
+    if (panel.classList.contains('hidden')) openEditor(panel);
+    else closeEditor(panel);
+  });
+
+  // Relabel an open editor in the new language
+  document.addEventListener('timeline:locale', () => {
+    if (panel.classList.contains('hidden')) return;
+    renderEditor(panel);
+    scheduleUpdate(panel);
+  });
+
+  panel.addEventListener('input', (event) => {
+    const input = event.target.closest('[data-field]');
+    if (input) updateField(panel, input);
+  });
+
+  panel.addEventListener('change', (event) => {
+    if (event.target.id === 'editor-movement') {
+      selectMovement(panel, parseInt(event.target.value, 10));
+    } else if (event.target.dataset.field === 'id') {
+      renameReferences(panel, event.target.value.trim());
+    }
+  });
+
+  // Issues are focusable: Enter opens them like a click
+  panel.addEventListener('keydown', (event) => {
+    const issue = event.target.closest('[data-pointer]');
+    if (issue && event.key === 'Enter') showIssue(panel, issue.dataset.pointer);
+  });
+
+  panel.addEventListener('click', (event) => {
+    const issue = event.target.closest('[data-pointer]');
+    if (issue) {
+      showIssue(panel, issue.dataset.pointer);
+      return;
+    }
+
+    const button = event.target.closest('[data-action]');
+    if (button) runAction(panel, button.dataset.action, button.dataset);
+  });
+}
+
+/**
+ * Opens the editor on the saved draft, or on a copy of the loaded data
+ * @param {HTMLElement} panel - Editor panel
+ */
+function openEditor(panel) {
+  state.published = getSourceData();
+  state.createdAuthors.clear();
+
+  const saved = loadDraft();
+  if (saved) {
+    state.draft = saved.data;
+    state.selected = saved.selected || 0;
+    state.status = saved.lastUpdated === getLastUpdated(state.published)
+      ? t('editor.status.restored', { time: formatTime(saved.savedAt) })
+      : t('editor.status.outdated', { time: formatTime(saved.savedAt) });
+  } else {
+    state.draft = structuredClone(state.published);
+    state.selected = 0;
+    state.status = '';
+  }
+
+  panel.classList.remove('hidden');
+  setToggleState(true);
+  selectMovement(panel, Math.min(state.selected, state.draft.movements.length - 1));
+  update(panel);
+}
+
+/**
+ * Closes the editor: saves the draft and puts the loaded data back on the page
+ * @param {HTMLElement} panel - Editor panel
+ */
+function closeEditor(panel) {
+  clearTimeout(state.timer);
+  saveDraft();
+
+  panel.classList.add('hidden');
+  setToggleState(false);
+  preview(state.published);
+  state.draft = null;
+  state.model = null;
+}
+
+/**
+ * Updates the header button state
+ * @param {boolean} open - Whether the editor is open
+ */
+function setToggleState(open) {
+  const toggleButton = document.getElementById('editor-toggle');
+  toggleButton.classList.toggle('active', open);
+  toggleButton.setAttribute('aria-pressed', open);
+}
+
+/**
+ * Runs a button action
+ * @param {HTMLElement} panel - Editor panel
+ * @param {string} action - Action name (data-action)
+ * @param {Object} params - Button dataset (type, index)
+ */
+function runAction(panel, action, params) {
+  const index = parseInt(params.index, 10);
+  const model = state.model;
+
+  switch (action) {
+    case 'close':
+      closeEditor(panel);
+      return;
+    case 'add-movement':
+      addMovement(panel);
+      return;
+    case 'delete-movement':
+      deleteMovement(panel);
+      return;
+    case 'download':
+      downloadDraft();
+      return;
+    case 'discard':
+      discardDraft(panel);
+      return;
+    case 'add-author':
+      model.authors.push({ name: '', gender: '', favorite: false, original: null, changed: true });
+      break;
+    case 'remove-author':
+      model.authors.splice(index, 1);
+      break;
+    case 'add-work':
+      model.works.push({ title: toTextModel(''), original_title: toTextModel(''), author: '', year: '', end_year: '', type: '', original: null, changed: true });
+      break;
+    case 'remove-work':
+      model.works.splice(index, 1);
+      break;
+    case 'add-connection':
+      model.connections[params.type].push({ to: '', desc: toTextModel(''), original: {} });
+      break;
+    case 'remove-connection':
+      model.connections[params.type].splice(index, 1);
+      break;
+    default:
+      return;
+  }
+
+  // Rows were added or removed: apply, then redraw the form
+  applyModel();
+  renderEditor(panel);
+  scheduleUpdate(panel);
+}
+
+/**
+ * Selects the movement to edit
+ * @param {HTMLElement} panel - Editor panel
+ * @param {number} index - Index in the draft's movements
+ */
+function selectMovement(panel, index) {
+  state.selected = index;
+  const movement = state.draft.movements[index];
+  state.model = movement ? toFormModel(movement) : null;
+  renderEditor(panel);
+
+  // Show the movement on the page when it is part of the preview
+  if (movement && findMovementById(movement.id)) {
+    scrollToMovementBar(movement.id);
+    showMovementDetails(movement.id);
+  }
+}
+
+/**
+ * Adds a movement after the last one and selects it
+ * @param {HTMLElement} panel - Editor panel
+ */
+function addMovement(panel) {
+  const movements = state.draft.movements;
+  const ids = new Set(movements.map(movement => movement.id));
+  const baseId = slugify(t('editor.newMovement'));
+  let id = baseId;
+  for (let n = 2; ids.has(id); n++) id = `${baseId}-${n}`;
+
+  const year = new Date().getFullYear();
+  movements.push({
+    id,
+    title: t('editor.newMovement'),
+    period: `${year}-${year}`,
+    year,
+    description: '',
+    authors: [],
+    works: []
+  });
+
+  selectMovement(panel, movements.length - 1);
+  scheduleUpdate(panel);
+}
+
+/**
+ * Deletes the selected movement and the connections pointing to it, after confirmation
+ * @param {HTMLElement} panel - Editor panel
+ */
+function deleteMovement(panel) {
+  const movements = state.draft.movements;
+  const movement = movements[state.selected];
+  if (!movement || !confirm(t('editor.confirmDelete', { title: localize(movement.title) }))) return;
+
+  movements.splice(state.selected, 1);
+  movements.forEach(other => {
+    if (!other.connections) return;
+    Object.keys(other.connections).forEach(type => {
+      other.connections[type] = other.connections[type].filter(connection => connection.to !== movement.id);
+      if (other.connections[type].length === 0) delete other.connections[type];
+    });
+    if (Object.keys(other.connections).length === 0) delete other.connections;
+  });
+
+  removeUnusedAuthors();
+  selectMovement(panel, Math.max(0, state.selected - 1));
+  scheduleUpdate(panel);
+}
+
+/**
+ * Drops the draft and starts again from the loaded data, after confirmation
+ * @param {HTMLElement} panel - Editor panel
+ */
+function discardDraft(panel) {
+  if (!confirm(t('editor.confirmDiscard'))) return;
+
+  try {
+    localStorage.removeItem(getStorageKey());
+  } catch {
+    // No stored draft without storage
+  }
+  state.draft = structuredClone(state.published);
+  state.createdAuthors.clear();
+  state.status = '';
+  selectMovement(panel, Math.min(state.selected, state.draft.movements.length - 1));
+  update(panel);
+}
+
+/**
+ * Downloads the draft under the dataset's file name (e.g., movements.json), formatted for clean diffs
+ * The metadata date is bumped when the data differs from the loaded file
+ */
+function downloadDraft() {
+  const schema = getSchema();
+  const data = structuredClone(state.draft);
+
+  if (data.metadata && formatMovementData(data, schema) !== formatMovementData(state.published, schema)) {
+    data.metadata.last_updated = new Date().toISOString().slice(0, 10);
+  }
+
+  downloadBlob(new Blob([formatMovementData(data, schema)], { type: 'application/json' }), getCurrentDataset().file);
+}
+
+/**
+ * Applies a form input to the model and the draft
+ * @param {HTMLElement} panel - Editor panel
+ * @param {HTMLElement} input - Changed input (data-field is a dotted model path)
+ */
+function updateField(panel, input) {
+  const path = input.dataset.field.split('.');
+  const value = input.type === 'checkbox' ? input.checked : input.value;
+  setPath(state.model, path, value);
+
+  // Rows are rewritten only once edited, so untouched legacy entries stay as they are
+  const [list, index, field] = path;
+  if (list === 'authors' || list === 'works') state.model[list][index].changed = true;
+
+  if (list === 'authors' && field === 'name') {
+    // A known name links the row to that author: show their gender
+    const id = findAuthorId(value.trim());
+    if (id) {
+      const row = state.model.authors[index];
+      row.gender = state.draft.authors[id].gender || '';
+      const select = panel.querySelector(`[data-field="authors.${index}.gender"]`);
+      if (select) select.value = row.gender;
+    }
+  }
+
+  applyModel();
+  scheduleUpdate(panel);
+}
+
+/**
+ * Points the connections to a renamed movement at its new id
+ * Runs when the id field is left, and only for ids not used by another movement
+ * @param {HTMLElement} panel - Editor panel
+ * @param {string} newId - New movement id
+ */
+function renameReferences(panel, newId) {
+  const movements = state.draft.movements;
+  const oldId = state.model.loadedId;
+  if (!oldId || !newId || oldId === newId) return;
+  if (movements.some((movement, index) => index !== state.selected && movement.id === newId)) return;
+
+  movements.forEach(movement => {
+    Object.values(movement.connections || {}).forEach(connections => {
+      connections.forEach(connection => {
+        if (connection.to === oldId) connection.to = newId;
+      });
+    });
+  });
+
+  state.model = toFormModel(movements[state.selected]);
+  renderEditor(panel);
+  scheduleUpdate(panel);
+}
+
+/**
+ * Writes the form model back into the draft
+ */
+function applyModel() {
+  const movements = state.draft.movements;
+  movements[state.selected] = fromFormModel(state.model, movements[state.selected]);
+  removeUnusedAuthors();
+}
+
+/**
+ * Validates, previews and saves the draft once typing pauses
+ * @param {HTMLElement} panel - Editor panel
+ */
+function scheduleUpdate(panel) {
+  clearTimeout(state.timer);
+  state.timer = setTimeout(() => {
+    state.status = t('editor.status.saved', { time: formatTime(saveDraft()) });
+    update(panel);
+  }, UPDATE_DELAY);
+}
+
+/**
+ * Validates the draft, lists its issues and previews it when it has no errors
+ * @param {HTMLElement} panel - Editor panel
+ */
+function update(panel) {
+  const result = validateMovementData(state.draft, getSchema());
+
+  const summary = result.errors.length > 0
+    ? t('editor.status.errors', { count: result.errors.length })
+    : t('editor.status.valid');
+  panel.querySelector('#editor-status').textContent = [summary, state.status].filter(Boolean).join(' · ');
+  panel.querySelector('#editor-issues').innerHTML = renderIssues(result);
+
+  // Titles may have changed
+  const select = panel.querySelector('#editor-movement');
+  state.draft.movements.forEach((movement, index) => {
+    if (select.options[index]) select.options[index].textContent = formatMovementOption(movement, index);
+  });
+
+  if (result.errors.length === 0) preview(state.draft);
+}
+
+/**
+ * Shows data on the page
+ * @param {Object} data - Valid configuration data
+ */
+function preview(data) {
+  setSourceData(structuredClone(data));
+  document.dispatchEvent(new CustomEvent('timeline:data'));
+}
+
+/**
+ * Selects the movement an issue is about and focuses the matching field
+ * @param {HTMLElement} panel - Editor panel
+ * @param {string} pointer - JSON pointer of the issue
+ */
+function showIssue(panel, pointer) {
+  const match = pointer.match(/^\/movements\/(\d+)(?:\/(.*))?$/);
+  if (!match) return;
+
+  const index = parseInt(match[1], 10);
+  if (index !== state.selected) selectMovement(panel, index);
+
+  const field = (match[2] || '').replace(/\//g, '.');
+  const input = field && panel.querySelector(`[data-field="${field}"], [data-field^="${field}."]`);
+  if (input) input.focus();
+}
+
+/**
+ * Converts a movement into the values shown in the form
+ * Texts become { fr, en, ... }, author references become names
+ * @param {Object} movement - Movement as written in movements.json
+ * @returns {Object} Form model
+ */
+function toFormModel(movement) {
+  const registry = state.draft.authors || {};
+  const authorNames = new Map();
+
+  const authors = (movement.authors || []).map(ref => {
+    const author = ref.id ? registry[ref.id] : ref;
+    const name = author ? author.name : ref.id;
+    if (ref.id) authorNames.set(ref.id, name);
+    return {
+      name: name || '',
+      gender: (author && author.gender) || '',
+      favorite: Boolean(ref.favorite),
+      original: ref,
+      changed: false
+    };
+  });
+
+  const works = (movement.works || []).map(work => {
+    const parsed = parseWork(work);
+    return {
+      title: toTextModel(parsed.title),
+      original_title: toTextModel(parsed.original_title),
+      author: authorNames.get(parsed.author) || parsed.author || '',
+      year: parsed.year ?? '',
+      end_year: parsed.end_year ?? '',
+      type: parsed.type || '',
+      original: work,
+      changed: false
+    };
+  });
+
+  const connections = Object.fromEntries(Object.keys(getConnectionTypes()).map(type => [
+    type,
+    ((movement.connections || {})[type] || []).map(connection => ({
+      to: connection.to || '',
+      desc: toTextModel(connection.desc),
+      original: connection
+    }))
+  ]));
+
+  return {
+    loadedId: movement.id,
+    id: movement.id || '',
+    title: toTextModel(movement.title),
+    period: movement.period || '',
+    year: movement.year ?? '',
+    lane: movement.lane ?? '',
+    description: toTextModel(movement.description),
+    context: Object.fromEntries(getContextSections().map(({ key: section }) => [
+      section,
+      toTextModel((movement.context || {})[section])
+    ])),
+    authors,
+    works,
+    connections
+  };
+}
+
+/**
+ * Converts the form model back into a movement
+ * Unknown properties, context sections and connection types of the movement are kept;
+ * empty optional fields are left out
+ * @param {Object} model - Form model from toFormModel()
+ * @param {Object} movement - Movement being edited
+ * @returns {Object} Movement as written in movements.json
+ */
+function fromFormModel(model, movement) {
+  const result = {
+    ...movement,
+    id: model.id.trim(),
+    title: fromTextModel(model.title),
+    period: model.period.trim(),
+    year: toNumber(model.year),
+    lane: toNumber(model.lane),
+    description: fromTextModel(model.description)
+  };
+
+  const sections = Object.entries(model.context);
+  if (sections.some(([, text]) => fromTextModel(text) !== '')) {
+    result.context = { ...movement.context };
+    sections.forEach(([section, text]) => { result.context[section] = fromTextModel(text); });
+  } else {
+    delete result.context;
+  }
+
+  result.authors = model.authors.map(row => (row.changed ? buildAuthorReference(row) : row.original));
+  result.works = model.works.map(row => (row.changed ? buildWork(row, model.authors) : row.original));
+
+  const connections = Object.fromEntries(Object.entries(movement.connections || {})
+    .filter(([type]) => !model.connections[type]));
+  Object.entries(model.connections).forEach(([type, rows]) => {
+    if (rows.length === 0) return;
+    connections[type] = rows.map(row => ({ ...row.original, to: row.to, desc: fromTextModel(row.desc) }));
+  });
+  if (Object.keys(connections).length > 0) result.connections = connections;
+  else delete result.connections;
+
+  return removeUndefined(result);
+}
+
+/**
+ * Builds an author reference from a form row
+ * Known names link to the registry; new names are added to it
+ * @param {Object} row - Author row { name, gender, favorite }
+ * @returns {Object} Author reference { id, favorite? }
+ */
+function buildAuthorReference(row) {
+  const name = row.name.trim();
+  if (!name) return { name };
+
+  const registry = state.draft.authors || (state.draft.authors = {});
+  let id = findAuthorId(name);
+  if (!id) {
+    const baseId = slugify(name) || 'author';
+    id = baseId;
+    for (let n = 2; registry[id]; n++) id = `${baseId}-${n}`;
+    registry[id] = { name };
+    state.createdAuthors.add(id);
+  }
+
+  // Gender is shared by every movement that lists the author
+  if (row.gender) registry[id].gender = row.gender;
+  else delete registry[id].gender;
+
+  return row.favorite ? { id, favorite: true } : { id };
+}
+
+/**
+ * Builds a structured work from a form row
+ * @param {Object} row - Work row
+ * @param {Array} authorRows - Author rows of the movement, to link the work author by id
+ * @returns {Object} Work object
+ */
+function buildWork(row, authorRows) {
+  const authorName = row.author.trim();
+  const work = { title: fromTextModel(row.title) };
+  const originalTitle = fromTextModel(row.original_title);
+
+  if (originalTitle !== '') work.original_title = originalTitle;
+  if (authorName) {
+    const listed = authorRows.some(author => author.name.trim() === authorName);
+    work.author = (listed && findAuthorId(authorName)) || authorName;
+  }
+  work.year = toNumber(row.year);
+  if (row.end_year !== '') work.end_year = toNumber(row.end_year);
+  if (row.type) work.type = row.type;
+
+  return removeUndefined(work);
+}
+
+/**
+ * Removes the properties left empty (undefined) by the form
+ * @param {Object} object - Object to clean, in place
+ * @returns {Object} The same object
+ */
+function removeUndefined(object) {
+  Object.keys(object).forEach(key => {
+    if (object[key] === undefined) delete object[key];
+  });
+  return object;
+}
+
+/**
+ * Finds a registry author by exact name
+ * @param {string} name - Author name
+ * @returns {string|null} Author id or null
+ */
+function findAuthorId(name) {
+  const entry = Object.entries(state.draft.authors || {}).find(([, author]) => author.name === name);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Removes the authors created while typing that no movement lists any more
+ */
+function removeUnusedAuthors() {
+  const used = new Set();
+  state.draft.movements.forEach(movement => {
+    (movement.authors || []).forEach(ref => { if (ref.id) used.add(ref.id); });
+  });
+
+  state.createdAuthors.forEach(id => {
+    if (used.has(id)) return;
+    delete state.draft.authors[id];
+    state.createdAuthors.delete(id);
+  });
+}
+
+/**
+ * Converts a text field into one value per language
+ * @param {string|Object} value - Plain string or { fr, en, ... }
+ * @returns {Object} { fr, en, ... } with every language present
+ */
+function toTextModel(value) {
+  const text = isLocalizedText(value) ? { ...value } : { [DEFAULT_LOCALE]: value || '' };
+  Object.keys(LOCALES).forEach(locale => { text[locale] = text[locale] || ''; });
+  return text;
+}
+
+/**
+ * Converts one value per language back into a text field
+ * Text in the reference language only stays a plain string
+ * @param {Object} text - { fr, en, ... }
+ * @returns {string|Object} Plain string or { fr, en, ... }
+ */
+function fromTextModel(text) {
+  const filled = Object.fromEntries(Object.entries(text)
+    .map(([locale, value]) => [locale, value.trim()])
+    .filter(([, value]) => value !== ''));
+
+  const locales = Object.keys(filled);
+  if (locales.length === 0) return '';
+  if (locales.length === 1 && locales[0] === DEFAULT_LOCALE) return filled[DEFAULT_LOCALE];
+  return filled;
+}
+
+/**
+ * Converts a number input value
+ * @param {string|number} value - Input value
+ * @returns {number|string|undefined} Number, undefined when empty, or the raw text (reported by validation)
+ */
+function toNumber(value) {
+  if (value === '' || value === null) return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value;
+}
+
+/**
+ * Sets a value at a dotted path of the form model
+ * @param {Object} target - Form model
+ * @param {Array<string>} path - Keys (e.g., ["works", "2", "title", "fr"])
+ * @param {*} value - Value to set
+ */
+function setPath(target, path, value) {
+  const parent = path.slice(0, -1).reduce((node, key) => node[key], target);
+  parent[path[path.length - 1]] = value;
+}
+
+/**
+ * Gets the last update date of a dataset, to tell whether a draft is based on it
+ * @param {Object} data - Configuration data
+ * @returns {string|undefined} metadata.last_updated
+ */
+function getLastUpdated(data) {
+  return data && data.metadata ? data.metadata.last_updated : undefined;
+}
+
+/**
+ * Gets the localStorage key of the current dataset's draft
+ * @returns {string} e.g. "sf-history-draft:fantasy"
+ */
+function getStorageKey() {
+  return `${STORAGE_KEY}:${getCurrentDataset().id}`;
+}
+
+/**
+ * Reads the saved draft
+ * @returns {Object|null} { data, selected, savedAt, lastUpdated } or null
+ */
+function loadDraft() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getStorageKey()));
+    return saved && saved.data && Array.isArray(saved.data.movements) ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Saves the draft (storage may be unavailable, e.g., private browsing)
+ * @returns {string} Save date (ISO string)
+ */
+function saveDraft() {
+  const savedAt = new Date().toISOString();
+  if (!state.draft) return savedAt;
+
+  try {
+    localStorage.setItem(getStorageKey(), JSON.stringify({
+      data: state.draft,
+      selected: state.selected,
+      savedAt,
+      lastUpdated: getLastUpdated(state.published)
+    }));
+  } catch {
+    // The draft only lives in memory
+  }
+  return savedAt;
+}
+
+/**
+ * Formats a save date for the status line
+ * @param {string} date - ISO date
+ * @returns {string} Local date and time
+ */
+function formatTime(date) {
+  return new Date(date).toLocaleString();
+}
+
+/**
+ * Formats a movement in the movement picker
+ * @param {Object} movement - Movement as written in movements.json
+ * @param {number} index - Index in the draft
+ * @returns {string} e.g. "3. Cyberpunk"
+ */
+function formatMovementOption(movement, index) {
+  return `${index + 1}. ${localize(movement.title, DEFAULT_LOCALE) || movement.id}`;
+}
+
+/**
+ * Renders the whole editor
+ * @param {HTMLElement} panel - Editor panel
+ */
+function renderEditor(panel) {
+  const movements = state.draft.movements;
+  const authorNames = Object.values(state.draft.authors || {}).map(author => author.name).sort();
+
+  panel.innerHTML = `
+    <div class="editor-header">
+      <h2 class="editor-title" id="editor-title">${t('editor.title')}</h2>
+      <label class="editor-picker">
+        <span>${t('editor.movement')}</span>
+        <select id="editor-movement">
+          ${movements.map((movement, index) => `
+            <option value="${index}"${index === state.selected ? ' selected' : ''}>${escapeXML(formatMovementOption(movement, index))}</option>`).join('')}
+        </select>
+      </label>
+      <button type="button" class="editor-btn" data-action="add-movement">${t('editor.addMovement')}</button>
+      <button type="button" class="editor-btn" data-action="delete-movement"${state.model ? '' : ' disabled'}>${t('editor.deleteMovement')}</button>
+      <button type="button" class="editor-btn" data-action="download">${t('editor.download')}</button>
+      <button type="button" class="editor-btn" data-action="discard">${t('editor.discard')}</button>
+      <button type="button" class="overlay-close" data-action="close" aria-label="${t('editor.close')}">×</button>
+    </div>
+    <p class="editor-status" id="editor-status" aria-live="polite"></p>
+    <ul class="editor-issues" id="editor-issues"></ul>
+    <datalist id="editor-author-names">
+      ${authorNames.map(name => `<option value="${escapeXML(name)}"></option>`).join('')}
+    </datalist>
+    ${state.model ? renderForm(state.model) : ''}
+  `;
+}
+
+/**
+ * Renders the form of the selected movement
+ * @param {Object} model - Form model
+ * @returns {string} HTML string
+ */
+function renderForm(model) {
+  const otherIds = state.draft.movements
+    .filter((movement, index) => index !== state.selected && movement.id)
+    .map(movement => movement.id);
+
+  return `
+    <div class="editor-form">
+      <fieldset class="editor-section">
+        <legend>${t('editor.sections.movement')}</legend>
+        <label class="editor-field">
+          <span>${t('editor.fields.id')}</span>
+          <input type="text" data-field="id" value="${escapeXML(model.id)}" spellcheck="false">
+          <small>${t('editor.hints.id')}</small>
+        </label>
+        ${renderTextField('title', t('editor.fields.title'), model.title)}
+        <div class="editor-row">
+          <label class="editor-field">
+            <span>${t('editor.fields.period')}</span>
+            <input type="text" data-field="period" value="${escapeXML(model.period)}" placeholder="1980-1995">
+          </label>
+          <label class="editor-field">
+            <span>${t('editor.fields.year')}</span>
+            <input type="number" data-field="year" value="${escapeXML(model.year)}">
+          </label>
+          <label class="editor-field">
+            <span>${t('editor.fields.lane')}</span>
+            <input type="number" data-field="lane" value="${escapeXML(model.lane)}" min="0" step="1">
+            <small>${t('editor.hints.lane')}</small>
+          </label>
+        </div>
+        ${renderTextField('description', t('editor.fields.description'), model.description, true)}
+      </fieldset>
+
+      <fieldset class="editor-section">
+        <legend>${t('sidebar.context')}</legend>
+        ${getContextSections().map(({ key, icon, label }) => renderTextField(
+          `context.${key}`,
+          `${icon} ${label}`,
+          model.context[key],
+          true
+        )).join('')}
+      </fieldset>
+
+      <fieldset class="editor-section">
+        <legend>${t('sidebar.authors')}</legend>
+        <small>${t('editor.hints.authors')}</small>
+        ${model.authors.map((author, index) => renderAuthorRow(author, index)).join('')}
+        <button type="button" class="editor-btn" data-action="add-author">${t('editor.addAuthor')}</button>
+      </fieldset>
+
+      <fieldset class="editor-section">
+        <legend>${t('sidebar.works')}</legend>
+        <datalist id="editor-work-authors">
+          ${model.authors.map(author => `<option value="${escapeXML(author.name)}"></option>`).join('')}
+        </datalist>
+        ${model.works.map((work, index) => renderWorkRow(work, index)).join('')}
+        <button type="button" class="editor-btn" data-action="add-work">${t('editor.addWork')}</button>
+      </fieldset>
+
+      <fieldset class="editor-section">
+        <legend>${t('sidebar.connections')}</legend>
+        ${Object.entries(getConnectionTypes()).map(([type, { icon, color, name }]) => `
+          <div class="editor-connections" style="--connection-color: ${color}">
+            <div class="editor-subtitle">${icon} ${name}</div>
+            ${model.connections[type].map((row, index) => renderConnectionRow(type, row, index, otherIds)).join('')}
+            <button type="button" class="editor-btn" data-action="add-connection" data-type="${type}">${t('editor.addConnection')}</button>
+          </div>`).join('')}
+      </fieldset>
+    </div>
+  `;
+}
+
+/**
+ * Renders a translatable text field: one input per language
+ * @param {string} field - Model path (e.g., "context.themes")
+ * @param {string} label - Field label
+ * @param {Object} text - { fr, en, ... }
+ * @param {boolean} [multiline=false] - Use text areas
+ * @returns {string} HTML string
+ */
+function renderTextField(field, label, text, multiline = false) {
+  return `
+    <div class="editor-field">
+      <span>${label}</span>
+      ${Object.keys(LOCALES).map(locale => `
+        <label class="editor-lang">
+          <span class="editor-lang-code">${locale.toUpperCase()}</span>
+          ${multiline
+            ? `<textarea data-field="${field}.${locale}" rows="2">${escapeXML(text[locale])}</textarea>`
+            : `<input type="text" data-field="${field}.${locale}" value="${escapeXML(text[locale])}">`}
+        </label>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Renders an author row
+ * @param {Object} author - Author row
+ * @param {number} index - Row index
+ * @returns {string} HTML string
+ */
+function renderAuthorRow(author, index) {
+  return `
+    <div class="editor-item">
+      <input type="text" data-field="authors.${index}.name" value="${escapeXML(author.name)}" list="editor-author-names" placeholder="${t('editor.fields.name')}" aria-label="${t('editor.fields.name')}">
+      <select data-field="authors.${index}.gender" aria-label="${t('editor.fields.gender')}">
+        <option value="">${t('editor.fields.gender')}</option>
+        ${GENDERS.map(gender => `<option value="${gender}"${author.gender === gender ? ' selected' : ''}>${t(`genders.${gender}`)}</option>`).join('')}
+      </select>
+      <label class="editor-check">
+        <input type="checkbox" data-field="authors.${index}.favorite"${author.favorite ? ' checked' : ''}> ${t('editor.fields.favorite')}
+      </label>
+      <button type="button" class="editor-remove" data-action="remove-author" data-index="${index}" aria-label="${t('editor.remove')}">×</button>
+    </div>
+  `;
+}
+
+/**
+ * Renders a work row
+ * @param {Object} work - Work row
+ * @param {number} index - Row index
+ * @returns {string} HTML string
+ */
+function renderWorkRow(work, index) {
+  return `
+    <div class="editor-item editor-work">
+      ${Object.keys(LOCALES).map(locale => `
+        <input type="text" data-field="works.${index}.title.${locale}" value="${escapeXML(work.title[locale])}" placeholder="${t('editor.fields.workTitle')} (${locale.toUpperCase()})" aria-label="${t('editor.fields.workTitle')} (${locale.toUpperCase()})">`).join('')}
+      ${Object.keys(LOCALES).map(locale => `
+        <input type="text" data-field="works.${index}.original_title.${locale}" value="${escapeXML(work.original_title[locale])}" placeholder="${t('editor.fields.originalTitle')} (${locale.toUpperCase()})" aria-label="${t('editor.fields.originalTitle')} (${locale.toUpperCase()})">`).join('')}
+      <input type="text" data-field="works.${index}.author" value="${escapeXML(work.author)}" list="editor-work-authors" placeholder="${t('editor.fields.workAuthor')}" aria-label="${t('editor.fields.workAuthor')}">
+      <input type="number" class="editor-year" data-field="works.${index}.year" value="${escapeXML(work.year)}" placeholder="${t('editor.fields.year')}" aria-label="${t('editor.fields.year')}">
+      <input type="number" class="editor-year" data-field="works.${index}.end_year" value="${escapeXML(work.end_year)}" placeholder="${t('editor.fields.endYear')}" aria-label="${t('editor.fields.endYear')}">
+      <select data-field="works.${index}.type" aria-label="${t('editor.fields.type')}">
+        <option value="">${t('editor.fields.type')}</option>
+        ${WORK_TYPES.map(type => `<option value="${type}"${work.type === type ? ' selected' : ''}>${formatWorkType(type)}</option>`).join('')}
+      </select>
+      <button type="button" class="editor-remove" data-action="remove-work" data-index="${index}" aria-label="${t('editor.remove')}">×</button>
+    </div>
+  `;
+}
+
+/**
+ * Renders a connection row
+ * The target can only be another existing movement
+ * @param {string} type - Connection type
+ * @param {Object} row - Connection row { to, desc }
+ * @param {number} index - Row index
+ * @param {Array<string>} ids - Ids of the other movements
+ * @returns {string} HTML string
+ */
+function renderConnectionRow(type, row, index, ids) {
+  return `
+    <div class="editor-item">
+      <select data-field="connections.${type}.${index}.to" aria-label="${t('editor.fields.target')}">
+        <option value="">${t('editor.fields.target')}</option>
+        ${ids.map(id => `<option value="${escapeXML(id)}"${row.to === id ? ' selected' : ''}>${escapeXML(id)}</option>`).join('')}
+      </select>
+      ${Object.keys(LOCALES).map(locale => `
+        <input type="text" data-field="connections.${type}.${index}.desc.${locale}" value="${escapeXML(row.desc[locale])}" placeholder="${t('editor.fields.connectionDesc')} (${locale.toUpperCase()})" aria-label="${t('editor.fields.connectionDesc')} (${locale.toUpperCase()})">`).join('')}
+      <button type="button" class="editor-remove" data-action="remove-connection" data-type="${type}" data-index="${index}" aria-label="${t('editor.remove')}">×</button>
+    </div>
+  `;
+}
+
+/**
+ * Renders the validation issues, errors first
+ * @param {Object} result - { errors, warnings } from validateMovementData()
+ * @returns {string} HTML string
+ */
+function renderIssues(result) {
+  return [
+    ...result.errors.map(issue => ({ issue, level: 'error', icon: '❌' })),
+    ...result.warnings.map(issue => ({ issue, level: 'warning', icon: '⚠️' }))
+  ].map(({ issue, level, icon }) => `
+    <li class="editor-issue ${level}" data-pointer="${escapeXML(issue.path)}" tabindex="0">${icon} ${escapeXML(formatIssue(issue))}</li>`).join('');
+}
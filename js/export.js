@@ -0,0 +1,553 @@
+/**
+ * Export Module
+ * Saves the whole timeline (axis, bars, work markers, connections) as SVG or PNG,
+ * prints it as a paginated A-series poster, and downloads the data files, entirely in the browser
+ */
+
+import { getMetadata, getConfigData, getConnectionTypes } from './config.js';
+import { getVisibleConnectionTypes } from './timeline.js';
+import { getZoomPercent } from './interactions.js';
+import { getCurrentView } from './graph.js';
+import { DATA_EXPORTS } from './exporters.js';
+import { slugify, escapeXML } from './utils.js';
+import { t } from './i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT_FAMILY = "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif";
+
+/**
+ * Color themes: `dark` matches the page, `light` saves ink when printing
+ */
+const THEMES = {
+  dark: {
+    background: '#0a0e27',
+    backgroundEnd: '#1a1a2e',
+    axis: '#00d4ff',
+    barFill: ['rgba(0, 212, 255, 0.4)', 'rgba(255, 0, 255, 0.3)'],
+    barStroke: '#00d4ff',
+    selectedStroke: '#ff00ff',
+    title: '#ffffff',
+    period: '#aaaaaa',
+    work: '#ffd700',
+    workOutside: '#888888',
+    text: '#e0e0e0'
+  },
+  light: {
+    background: '#ffffff',
+    backgroundEnd: '#ffffff',
+    axis: '#0077a8',
+    barFill: ['rgba(0, 212, 255, 0.18)', 'rgba(255, 0, 255, 0.12)'],
+    barStroke: '#0077a8',
+    selectedStroke: '#b000b0',
+    title: '#111111',
+    period: '#555555',
+    work: '#b8860b',
+    workOutside: '#999999',
+    text: '#111111'
+  }
+};
+
+/**
+ * A-series paper sizes in millimetres, landscape
+ */
+export const PAPER_SIZES = {
+  A0: [1189, 841],
+  A1: [841, 594],
+  A2: [594, 420],
+  A3: [420, 297],
+  A4: [297, 210]
+};
+
+// Poster page layout, in millimetres
+const PAGE_MARGIN = 10;
+const PAGE_HEADER = 12;
+const PAGE_LEGEND = 14;
+
+// Largest canvas browsers reliably allocate (Safari caps the area at 16.7 Mpx)
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 16777216;
+
+/**
+ * Sets up the export menu
+ * View exports are only available in the timeline view
+ */
+export function setupExport() {
+  const toggleButton = document.getElementById('export-toggle');
+  const panel = document.getElementById('export-panel');
+  if (!toggleButton || !panel) return;
+
+  const paperSelect = document.getElementById('export-paper');
+  if (paperSelect) {
+    paperSelect.innerHTML = Object.keys(PAPER_SIZES)
+      .map(size => `<option value="${size}" ${size === 'A3' ? 'selected' : ''}>${size}</option>`)
+      .join('');
+  }
+
+  const dataList = document.getElementById('export-data');
+  if (dataList) {
+    dataList.innerHTML = Object.keys(DATA_EXPORTS)
+      .map(name => `<button type="button" class="export-item" data-export-data="${name}">${name}</button>`)
+      .join('');
+  }
+
+  const setOpen = (open) => {
+    panel.classList.toggle('hidden', !open);
+    toggleButton.setAttribute('aria-expanded', String(open));
+  };
+
+  toggleButton.addEventListener('click', () => {
+    setOpen(panel.classList.contains('hidden'));
+  });
+
+  panel.addEventListener('click', (event) => {
+    const dataItem = event.target.closest('[data-export-data]');
+    if (dataItem) {
+      setOpen(false);
+      downloadData(dataItem.getAttribute('data-export-data'));
+      return;
+    }
+
+    const item = event.target.closest('[data-export]');
+    if (!item) return;
+
+    const lightInput = document.getElementById('export-light');
+    const theme = lightInput && lightInput.checked ? 'light' : 'dark';
+    const format = item.getAttribute('data-export');
+
+    setOpen(false);
+
+    if (format === 'svg') {
+      downloadSVG({ theme });
+    } else if (format === 'png') {
+      downloadPNG({ theme }).catch(error => console.error('PNG export failed:', error));
+    } else if (format === 'poster') {
+      printPoster({ theme, paper: paperSelect ? paperSelect.value : 'A3' });
+    }
+  });
+
+  // Close on outside click and Escape
+  document.addEventListener('click', (event) => {
+    if (!panel.classList.contains('hidden') && !event.target.closest('#export-menu')) {
+      setOpen(false);
+    }
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !panel.classList.contains('hidden')) {
+      setOpen(false);
+      toggleButton.focus();
+    }
+  });
+
+  // View exports read the timeline layout: disable them while the graph is shown
+  const updateAvailability = () => {
+    const available = getCurrentView() === 'timeline';
+    panel.querySelectorAll('[data-export]').forEach(item => {
+      item.disabled = !available;
+    });
+  };
+  document.addEventListener('timeline:view', updateAvailability);
+  updateAvailability();
+}
+
+/**
+ * Serializes the whole timeline into a standalone SVG document
+ * Geometry is read from the rendered page, so the export follows the current zoom level
+ * and includes the parts scrolled out of view
+ * @param {Object} [options] - Export options
+ * @param {string} [options.theme] - 'dark' or 'light'
+ * @returns {Object} { svg: markup string, width, height } in CSS pixels
+ */
+export function buildTimelineSVG(options = {}) {
+  const theme = THEMES[options.theme] || THEMES.dark;
+  const visualization = document.querySelector('.timeline-visualization');
+  if (!visualization) throw new Error('Timeline is not rendered');
+
+  // The axis sticks to the top while the lanes scroll: measure everything scrolled to the top
+  const scrollTop = visualization.scrollTop;
+  visualization.scrollTop = 0;
+
+  try {
+    return serializeTimeline(visualization, theme);
+  } finally {
+    visualization.scrollTop = scrollTop;
+  }
+}
+
+/**
+ * Serializes the timeline as laid out on the page
+ * @param {HTMLElement} visualization - Timeline visualization container, scrolled to the top
+ * @param {Object} theme - Color theme
+ * @returns {Object} { svg: markup string, width, height } in CSS pixels
+ */
+function serializeTimeline(visualization, theme) {
+  // Same coordinate space as the connections SVG: the content box of the scrolled container
+  const containerRect = visualization.getBoundingClientRect();
+  const originX = containerRect.left + visualization.clientLeft - visualization.scrollLeft;
+  const originY = containerRect.top + visualization.clientTop - visualization.scrollTop;
+  const measure = element => {
+    const rect = element.getBoundingClientRect();
+    return { x: rect.left - originX, y: rect.top - originY, width: rect.width, height: rect.height };
+  };
+
+  const width = Math.ceil(visualization.scrollWidth);
+  const height = Math.ceil(visualization.scrollHeight);
+
+  return {
+    width,
+    height,
+    svg: `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXML(FONT_FAMILY)}">
+  <defs>
+    <linearGradient id="export-background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${theme.background}"/>
+      <stop offset="1" stop-color="${theme.backgroundEnd}"/>
+    </linearGradient>
+    <linearGradient id="export-bar" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${theme.barFill[0]}"/>
+      <stop offset="1" stop-color="${theme.barFill[1]}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${width}" height="${height}" fill="url(#export-background)"/>
+  ${renderAxis(visualization, measure, theme)}
+  ${renderBars(visualization, measure, theme)}
+  ${renderConnections(visualization)}
+</svg>`
+  };
+}
+
+/**
+ * Checks whether an element is displayed at the current level of detail
+ * @param {HTMLElement} element - Element
+ * @returns {boolean} True if the element has a layout box
+ */
+function isShown(element) {
+  return Boolean(element) && element.getClientRects().length > 0;
+}
+
+/**
+ * Serializes the time axis: baseline, ticks and labels
+ * @param {HTMLElement} visualization - Timeline visualization container
+ * @param {Function} measure - Element to content-space rectangle
+ * @param {Object} theme - Color theme
+ * @returns {string} SVG markup
+ */
+function renderAxis(visualization, measure, theme) {
+  const axis = visualization.querySelector('.time-axis');
+  if (!axis) return '';
+
+  const box = measure(axis);
+  const baseline = box.y + box.height - 1.5;
+
+  const ticks = Array.from(axis.querySelectorAll('.axis-tick')).map(marker => {
+    const line = measure(marker.querySelector('.axis-tick-line'));
+    const label = measure(marker.querySelector('.axis-tick-label'));
+    const fontSize = marker.classList.contains('minor') ? 11 : 13.6;
+    return `
+    <rect x="${line.x}" y="${line.y}" width="${line.width}" height="${line.height}" fill="${theme.axis}"/>
+    <text x="${label.x + label.width / 2}" y="${label.y + label.height / 2}" text-anchor="middle" dominant-baseline="central" font-size="${fontSize}" font-weight="600" fill="${theme.axis}">${escapeXML(marker.textContent.trim())}</text>`;
+  }).join('');
+
+  return `<g class="time-axis">
+    <line x1="${box.x}" y1="${baseline}" x2="${box.x + box.width}" y2="${baseline}" stroke="${theme.axis}" stroke-width="3"/>${ticks}
+  </g>`;
+}
+
+/**
+ * Serializes the movement bars with their title, period, author chips and work markers,
+ * as shown at the current level of detail
+ * @param {HTMLElement} visualization - Timeline visualization container
+ * @param {Function} measure - Element to content-space rectangle
+ * @param {Object} theme - Color theme
+ * @returns {string} SVG markup
+ */
+function renderBars(visualization, measure, theme) {
+  const bars = Array.from(visualization.querySelectorAll('.movement-bar')).map(bar => {
+    const box = measure(bar);
+    // Full title, or the short one when zoomed out
+    const fullTitle = bar.querySelector('.movement-bar-title');
+    const title = [fullTitle, bar.querySelector('.movement-bar-short')].find(isShown) || fullTitle;
+    const period = bar.querySelector('.movement-bar-period');
+    const authors = bar.querySelector('.movement-bar-authors');
+    const titleBox = measure(title);
+    const selected = bar.classList.contains('selected');
+
+    let details = '';
+    if (isShown(period)) {
+      const periodBox = measure(period);
+      details += `
+      <text x="${periodBox.x}" y="${periodBox.y + periodBox.height / 2}" dominant-baseline="central" font-size="12" fill="${theme.period}">${escapeXML(period.textContent.trim())}</text>`;
+    }
+    if (isShown(authors)) {
+      const authorsBox = measure(authors);
+      const names = Array.from(authors.children).map(chip => chip.textContent.trim()).join(' · ');
+      details += `
+      <text x="${authorsBox.x}" y="${authorsBox.y + authorsBox.height / 2}" dominant-baseline="central" font-size="11" fill="${theme.period}">${escapeXML(names)}</text>`;
+    }
+
+    const markers = Array.from(bar.querySelectorAll('.work-marker')).filter(isShown).map(marker => {
+      const markerBox = measure(marker);
+      const color = marker.classList.contains('outside-period') ? theme.workOutside : theme.work;
+      return `
+      <rect x="${markerBox.x + markerBox.width / 2 - 1}" y="${markerBox.y}" width="2" height="${markerBox.height}" fill="${color}"/>`;
+    }).join('');
+
+    return `
+    <g class="movement-bar" data-id="${escapeXML(bar.dataset.id)}">
+      <rect x="${box.x + 1}" y="${box.y + 1}" width="${Math.max(0, box.width - 2)}" height="${Math.max(0, box.height - 2)}" rx="8" fill="url(#export-bar)" stroke="${selected ? theme.selectedStroke : theme.barStroke}" stroke-width="${selected ? 3 : 2}"/>
+      <text x="${titleBox.x}" y="${titleBox.y + titleBox.height / 2}" dominant-baseline="central" font-size="16" font-weight="600" fill="${theme.title}">${escapeXML(title.textContent.trim())}</text>${details}${markers}
+    </g>`;
+  }).join('');
+
+  return `<g class="movements">${bars}
+  </g>`;
+}
+
+/**
+ * Serializes the connection curves, arrowheads and labels drawn on the timeline
+ * The page only shows those of the selection; the export shows every visible type
+ * Labels keep the connection's description as a tooltip
+ * @param {HTMLElement} visualization - Timeline visualization container
+ * @returns {string} SVG markup
+ */
+function renderConnections(visualization) {
+  const svg = visualization.querySelector('#connections-svg');
+  if (!svg) return '';
+
+  const shapes = Array.from(svg.querySelectorAll('.connection-line, .connection-arrowhead, .connection-label')).map(shape => {
+    const color = shape.getAttribute('stroke') || shape.getAttribute('fill');
+
+    if (shape.classList.contains('connection-label')) {
+      return `
+    <circle cx="${shape.getAttribute('cx')}" cy="${shape.getAttribute('cy')}" r="${shape.getAttribute('r')}" fill="${color}"><title>${escapeXML(`${shape.getAttribute('data-title')}: ${shape.getAttribute('data-desc')}`)}</title></circle>`;
+    }
+    if (shape.classList.contains('connection-arrowhead')) {
+      return `
+    <polygon points="${shape.getAttribute('points')}" fill="${color}"/>`;
+    }
+    const lineage = shape.classList.contains('lineage');
+    return `
+    <path d="${shape.getAttribute('d')}" fill="none" stroke="${color}" stroke-width="${lineage ? 3 : 2}" opacity="${lineage ? 1 : 0.8}"/>`;
+  }).join('');
+
+  return `<g class="connections">${shapes}
+  </g>`;
+}
+
+/**
+ * Downloads a data file in the current language
+ * @param {string} name - File name, a key of DATA_EXPORTS (e.g., "works.bib")
+ */
+export function downloadData(name) {
+  const file = DATA_EXPORTS[name];
+  const data = getConfigData();
+  if (!file || !data) return;
+
+  downloadBlob(new Blob([file.build(data)], { type: `${file.type};charset=utf-8` }), `${getBaseName()}-${name}`);
+}
+
+/**
+ * Downloads the timeline as an SVG file
+ * @param {Object} [options] - Export options (see buildTimelineSVG)
+ */
+export function downloadSVG(options = {}) {
+  const { svg } = buildTimelineSVG(options);
+  downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${getBaseName()}-${getZoomPercent()}.svg`);
+}
+
+/**
+ * Downloads the timeline as a PNG file
+ * Renders at twice the screen resolution, less when the browser could not allocate the canvas
+ * @param {Object} [options] - Export options (see buildTimelineSVG)
+ * @returns {Promise<void>} Resolves once the download started
+ */
+export async function downloadPNG(options = {}) {
+  const { svg, width, height } = buildTimelineSVG(options);
+  const scale = Math.min(2, MAX_CANVAS_SIDE / width, MAX_CANVAS_SIDE / height, Math.sqrt(MAX_CANVAS_AREA / (width * height)));
+
+  const image = await loadImage(new Blob([svg], { type: 'image/svg+xml' }));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.floor(width * scale);
+  canvas.height = Math.floor(height * scale);
+
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) throw new Error('Canvas could not be encoded');
+  downloadBlob(blob, `${getBaseName()}-${getZoomPercent()}.png`);
+}
+
+/**
+ * Prints the timeline as a poster on A-series pages, with a title and legend on each page
+ * Every page shows the full height of the timeline; a wider timeline (higher zoom) spans more pages.
+ * The browser's print dialog saves it as PDF.
+ * @param {Object} [options] - Export options (see buildTimelineSVG)
+ * @param {string} [options.paper] - Paper size key of PAPER_SIZES
+ */
+export function printPoster(options = {}) {
+  const [pageWidth, pageHeight] = PAPER_SIZES[options.paper] || PAPER_SIZES.A3;
+  const theme = THEMES[options.theme] || THEMES.dark;
+  const { svg, width, height } = buildTimelineSVG(options);
+
+  const layout = computePosterLayout(width, height, pageWidth, pageHeight);
+  const content = svg.replace(/^<svg[^>]*>/, '').replace(/<\/svg>$/, '');
+  const title = getMetadata().title || t('app.title');
+
+  const pages = layout.tiles.map((tile, index) => `
+    <section class="poster-page">
+      <header class="poster-header">
+        <span>${escapeXML(title)}</span>
+        <span>${t('export.page', { page: index + 1, pages: layout.tiles.length })}</span>
+      </header>
+      <svg xmlns="${SVG_NS}" class="poster-tile" viewBox="${tile.x} 0 ${tile.width} ${height}" preserveAspectRatio="xMinYMid meet">
+        <use href="#poster-timeline"/>
+      </svg>
+      ${renderLegend(theme)}
+    </section>`).join('');
+
+  const documentHTML = `<!DOCTYPE html>
+<html lang="${document.documentElement.lang}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXML(title)}</title>
+<style>
+  @page { size: ${pageWidth}mm ${pageHeight}mm; margin: ${PAGE_MARGIN}mm; }
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: ${FONT_FAMILY}; color: ${theme.text}; background: ${theme.background}; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .poster-source { position: absolute; }
+  .poster-page { width: ${layout.contentWidth}mm; height: ${layout.contentHeight}mm; display: flex; flex-direction: column; page-break-after: always; break-after: page; }
+  .poster-page:last-child { page-break-after: auto; break-after: auto; }
+  .poster-header { height: ${PAGE_HEADER}mm; display: flex; justify-content: space-between; align-items: center; font-size: 5mm; font-weight: 600; }
+  .poster-tile { flex: 1; width: 100%; min-height: 0; }
+  .poster-legend { height: ${PAGE_LEGEND}mm; display: flex; flex-wrap: wrap; gap: 2mm 8mm; align-items: center; font-size: 3.5mm; }
+  .poster-legend-item { display: flex; align-items: center; gap: 2mm; }
+  .poster-legend-item svg { width: 10mm; height: 4mm; }
+</style>
+</head>
+<body>
+<svg xmlns="${SVG_NS}" class="poster-source" width="0" height="0" aria-hidden="true">
+  <g id="poster-timeline" font-family="${escapeXML(FONT_FAMILY)}">${content}</g>
+</svg>${pages}
+</body>
+</html>`;
+
+  // Print from a hidden frame so the page itself is left untouched
+  const frame = document.createElement('iframe');
+  frame.className = 'export-print-frame';
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+  frame.srcdoc = documentHTML;
+
+  frame.addEventListener('load', () => {
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  });
+
+  document.body.appendChild(frame);
+}
+
+/**
+ * Splits the timeline into page-wide tiles
+ * Each tile keeps the full timeline height, scaled to the printable height of the page
+ * @param {number} width - Timeline width in CSS pixels
+ * @param {number} height - Timeline height in CSS pixels
+ * @param {number} pageWidth - Paper width in millimetres
+ * @param {number} pageHeight - Paper height in millimetres
+ * @returns {Object} { contentWidth, contentHeight, tiles: [{ x, width }] }
+ */
+export function computePosterLayout(width, height, pageWidth, pageHeight) {
+  const contentWidth = pageWidth - 2 * PAGE_MARGIN;
+  const contentHeight = pageHeight - 2 * PAGE_MARGIN;
+  const tileHeight = contentHeight - PAGE_HEADER - PAGE_LEGEND;
+
+  // Timeline pixels per page width, at the scale where the timeline fills the page height
+  const tileWidth = height * contentWidth / tileHeight;
+  const count = tileWidth > 0 ? Math.max(1, Math.ceil(width / tileWidth - 0.01)) : 1;
+
+  const tiles = Array.from({ length: count }, (_, index) => ({
+    x: index * tileWidth,
+    width: tileWidth
+  }));
+
+  return { contentWidth, contentHeight, tiles };
+}
+
+/**
+ * Renders the poster legend: visible connection types (with an arrowhead if directed) and work markers
+ * @param {Object} theme - Color theme
+ * @returns {string} HTML string
+ */
+function renderLegend(theme) {
+  const sample = (shape) => `<svg xmlns="${SVG_NS}" viewBox="0 0 40 16">${shape}</svg>`;
+
+  const visible = getVisibleConnectionTypes();
+  const connections = Object.entries(getConnectionTypes())
+    .filter(([type]) => visible.has(type))
+    .map(([, { icon, color, name, direction }]) => `
+        <span class="poster-legend-item">
+          ${sample(direction === 'none'
+            ? `<line x1="2" y1="8" x2="38" y2="8" stroke="${color}" stroke-width="3"/>`
+            : `<line x1="2" y1="8" x2="32" y2="8" stroke="${color}" stroke-width="3"/><polygon points="38,8 30,3 30,13" fill="${color}"/>`)}
+          ${icon} ${name}
+        </span>`).join('');
+
+  return `
+      <footer class="poster-legend">${connections}
+        <span class="poster-legend-item">
+          ${sample(`<rect x="19" y="1" width="2" height="14" fill="${theme.work}"/>`)}
+          ${t('export.legend.work')}
+        </span>
+        <span class="poster-legend-item">
+          ${sample(`<rect x="19" y="1" width="2" height="14" fill="${theme.workOutside}"/>`)}
+          ${t('export.legend.workOutside')}
+        </span>
+      </footer>`;
+}
+
+/**
+ * Builds the start of export file names from the data title
+ * @returns {string} File name prefix (e.g., "fresque-des-courants-de-la-science-fiction")
+ */
+function getBaseName() {
+  const title = getMetadata().title || t('app.title');
+  return slugify(title) || 'timeline';
+}
+
+/**
+ * Loads an image from a blob
+ * @param {Blob} blob - Image data
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(blob) {
+  const url = URL.createObjectURL(blob);
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('SVG could not be rendered'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Saves a blob as a file
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,460 @@
+/**
+ * Data Exporters Module
+ * Converts the loaded configuration into CSV tables, JSON-LD (schema.org), GraphML and BibTeX
+ * Pure string builders, shared by the export menu and scripts/export.mjs
+ */
+
+import {
+  parsePeriod,
+  getSortedWorks,
+  resolveWorkAuthor,
+  normalizeText,
+  slugify,
+  formatNationality,
+  formatWorkType,
+  getDeclaredConnectionTypes,
+  getDeclaredContextSections,
+  escapeXML
+} from './utils.js';
+import { getLocale } from './i18n.js';
+
+/**
+ * Exported files, keyed by file name
+ * `build` takes the loaded config (see getConfigData()) and returns the file contents
+ */
+export const DATA_EXPORTS = {
+  'movements.csv': { format: 'csv', type: 'text/csv', build: data => toCSV(getMovementTable(data)) },
+  'authors.csv': { format: 'csv', type: 'text/csv', build: data => toCSV(getAuthorTable(data)) },
+  'works.csv': { format: 'csv', type: 'text/csv', build: data => toCSV(getWorkTable(data)) },
+  'connections.csv': { format: 'csv', type: 'text/csv', build: data => toCSV(getConnectionTable(data)) },
+  'movements.jsonld': { format: 'jsonld', type: 'application/ld+json', build: toJSONLD },
+  'connections.graphml': { format: 'graphml', type: 'application/graphml+xml', build: toGraphML },
+  'works.bib': { format: 'bibtex', type: 'application/x-bibtex', build: toBibTeX }
+};
+
+/**
+ * schema.org types of work types; other works are plain CreativeWork
+ */
+const SCHEMA_WORK_TYPES = {
+  'novel': 'Book',
+  'novella': 'Book',
+  'collection': 'Book',
+  'short-story': 'ShortStory',
+  'series': 'CreativeWorkSeries',
+  'film': 'Movie',
+  'tv-series': 'TVSeries',
+  'comic': 'ComicStory',
+  'game': 'Game'
+};
+
+/**
+ * schema.org gender values; other genders are exported as text
+ */
+const SCHEMA_GENDERS = {
+  F: 'https://schema.org/Female',
+  M: 'https://schema.org/Male'
+};
+
+// BibTeX entry types of book-like works; other works are @misc
+const BIBTEX_BOOK_TYPES = ['novel', 'novella', 'collection'];
+
+/**
+ * Lists the works of all movements once each
+ * A work listed in several movements (same title and year) is merged
+ * @param {Array} movements - Localized movements with resolved authors
+ * @returns {Array} Works as parsed by parseWork(), plus id, author (object or null),
+ *   authorName and movements
+ */
+export function collectWorks(movements) {
+  const works = new Map();
+  const usedIds = new Set();
+
+  movements.forEach(movement => {
+    getSortedWorks(movement.works).forEach(work => {
+      const key = getWorkKey(work);
+
+      if (!works.has(key)) {
+        const author = resolveWorkAuthor(work.author, movement.authors);
+        works.set(key, {
+          ...work,
+          id: uniqueId(`${slugify(work.title) || 'work'}-${work.year || 'nd'}`, usedIds),
+          author: author || null,
+          authorName: author ? author.name : (work.author || ''),
+          movements: []
+        });
+      }
+
+      works.get(key).movements.push(movement);
+    });
+  });
+
+  return Array.from(works.values());
+}
+
+/**
+ * Identifies a work across movements
+ * @param {Object} work - Parsed work
+ * @returns {string} Normalized title and year
+ */
+function getWorkKey(work) {
+  return `${normalizeText(work.title)}|${work.year}`;
+}
+
+/**
+ * Makes an identifier unique by appending a counter
+ * @param {string} base - Preferred identifier
+ * @param {Set<string>} used - Identifiers already taken (updated)
+ * @returns {string} Unique identifier
+ */
+function uniqueId(base, used) {
+  let id = base;
+  for (let counter = 2; used.has(id); counter++) {
+    id = `${base}-${counter}`;
+  }
+  used.add(id);
+  return id;
+}
+
+/**
+ * Gets the end year of a period, or null for ongoing movements ("2000-présent")
+ * @param {string} period - Period string
+ * @returns {number|null} End year
+ */
+function getPeriodEnd(period) {
+  return /pr[ée]sent/i.test(period || '') ? null : parsePeriod(period).end;
+}
+
+/**
+ * Builds the movements table
+ * Context sections get one column each: declared sections first, then any others in order of first appearance
+ * @param {Object} data - Loaded config
+ * @returns {Object} { columns, rows }
+ */
+function getMovementTable(data) {
+  const workIds = new Map(collectWorks(data.movements).map(work => [getWorkKey(work), work.id]));
+  const contextFields = Object.keys(getDeclaredContextSections(data.metadata));
+  data.movements.forEach(movement => {
+    Object.keys(movement.context || {}).forEach(field => {
+      if (!contextFields.includes(field)) contextFields.push(field);
+    });
+  });
+
+  return {
+    columns: [
+      'id', 'title', 'period', 'start_year', 'end_year', 'year', 'description',
+      ...contextFields.map(field => `context_${field}`),
+      'author_ids', 'work_ids'
+    ],
+    rows: data.movements.map(movement => {
+      const row = {
+        id: movement.id,
+        title: movement.title,
+        period: movement.period,
+        start_year: parsePeriod(movement.period).start,
+        end_year: getPeriodEnd(movement.period),
+        year: movement.year,
+        description: movement.description,
+        author_ids: movement.authors.map(author => author.id).join(';'),
+        work_ids: getSortedWorks(movement.works).map(work => workIds.get(getWorkKey(work))).join(';')
+      };
+      contextFields.forEach(field => {
+        row[`context_${field}`] = (movement.context || {})[field];
+      });
+      return row;
+    })
+  };
+}
+
+/**
+ * Builds the authors table
+ * @param {Object} data - Loaded config
+ * @returns {Object} { columns, rows }
+ */
+function getAuthorTable(data) {
+  return {
+    columns: ['id', 'name', 'gender', 'birth_year', 'death_year', 'nationality', 'bio', 'movement_ids'],
+    rows: Object.values(data.authors).map(author => ({
+      ...author,
+      movement_ids: data.movements
+        .filter(movement => movement.authors.some(ref => ref.id === author.id))
+        .map(movement => movement.id)
+        .join(';')
+    }))
+  };
+}
+
+/**
+ * Builds the works table
+ * @param {Object} data - Loaded config
+ * @returns {Object} { columns, rows }
+ */
+function getWorkTable(data) {
+  return {
+    columns: ['id', 'title', 'original_title', 'author_id', 'author', 'year', 'end_year', 'type', 'movement_ids'],
+    rows: collectWorks(data.movements).map(work => ({
+      id: work.id,
+      title: work.title,
+      original_title: work.original_title,
+      author_id: work.author ? work.author.id : null,
+      author: work.authorName,
+      year: work.year,
+      end_year: work.end_year,
+      type: work.type,
+      movement_ids: work.movements.map(movement => movement.id).join(';')
+    }))
+  };
+}
+
+/**
+ * Builds the connections table (an edge list, as imported by Gephi)
+ * Connections keep the direction they are declared in: `source` declares the connection
+ * @param {Object} data - Loaded config
+ * @returns {Object} { columns, rows }
+ */
+function getConnectionTable(data) {
+  return {
+    columns: ['source', 'target', 'type', 'relation', 'description'],
+    rows: getConnections(data).map(conn => ({
+      source: conn.from,
+      target: conn.to,
+      type: conn.directed ? 'directed' : 'undirected',
+      relation: conn.type,
+      description: conn.desc
+    }))
+  };
+}
+
+/**
+ * Lists every declared connection
+ * @param {Object} data - Loaded config
+ * @returns {Array} Connections as { from, to, type, desc, directed }
+ */
+function getConnections(data) {
+  const connections = [];
+  const connectionTypes = getDeclaredConnectionTypes(data.metadata);
+
+  data.movements.forEach(movement => {
+    Object.entries(movement.connections || {}).forEach(([type, list]) => {
+      const direction = connectionTypes[type] ? connectionTypes[type].direction || 'none' : 'none';
+      (list || []).forEach(conn => {
+        connections.push({ from: movement.id, to: conn.to, type, desc: conn.desc, directed: direction !== 'none' });
+      });
+    });
+  });
+
+  return connections;
+}
+
+/**
+ * Serializes a table as CSV (RFC 4180)
+ * Starts with a byte order mark so spreadsheets read accents as UTF-8
+ * @param {Object} table - { columns, rows } with rows keyed by column
+ * @returns {string} CSV text
+ */
+function toCSV({ columns, rows }) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escape).join(','));
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Serializes the data as JSON-LD with schema.org types
+ * Movements are DefinedTerms of the dataset, authors are Persons and works are
+ * CreativeWorks (or a subtype, series when they have an end year) whose `genre`
+ * points at their movements
+ * @param {Object} data - Loaded config
+ * @returns {string} JSON-LD text
+ */
+function toJSONLD(data) {
+  const metadata = data.metadata || {};
+
+  const terms = data.movements.map(movement => ({
+    '@type': 'DefinedTerm',
+    '@id': `#movement-${movement.id}`,
+    termCode: movement.id,
+    name: movement.title,
+    description: movement.description,
+    temporalCoverage: `${parsePeriod(movement.period).start}/${getPeriodEnd(movement.period) || '..'}`
+  }));
+
+  const people = Object.values(data.authors).map(author => compact({
+    '@type': 'Person',
+    '@id': `#author-${author.id}`,
+    name: author.name,
+    gender: author.gender ? (SCHEMA_GENDERS[author.gender] || author.gender) : undefined,
+    birthDate: author.birth_year ? String(author.birth_year) : undefined,
+    deathDate: author.death_year ? String(author.death_year) : undefined,
+    nationality: author.nationality
+      ? { '@type': 'Country', identifier: author.nationality, name: formatNationality(author.nationality) }
+      : undefined,
+    description: author.bio
+  }));
+
+  const works = collectWorks(data.movements).map(work => compact({
+    '@type': SCHEMA_WORK_TYPES[work.type] || (work.end_year ? 'CreativeWorkSeries' : 'CreativeWork'),
+    '@id': `#work-${work.id}`,
+    name: work.title,
+    translationOfWork: work.original_title ? { '@type': 'CreativeWork', name: work.original_title } : undefined,
+    author: work.author
+      ? { '@id': `#author-${work.author.id}` }
+      : (work.authorName ? { '@type': 'Person', name: work.authorName } : undefined),
+    datePublished: work.year ? String(work.year) : undefined,
+    startDate: work.end_year ? String(work.year) : undefined,
+    endDate: work.end_year ? String(work.end_year) : undefined,
+    genre: work.movements.map(movement => ({ '@id': `#movement-${movement.id}` }))
+  }));
+
+  const graph = {
+    '@context': 'https://schema.org',
+    '@graph': [
+      compact({
+        '@type': 'Dataset',
+        '@id': '#dataset',
+        name: metadata.title,
+        description: metadata.subtitle,
+        version: metadata.version,
+        dateModified: metadata.last_updated,
+        inLanguage: getLocale(),
+        about: { '@id': '#movements' }
+      }),
+      {
+        '@type': 'DefinedTermSet',
+        '@id': '#movements',
+        name: metadata.title,
+        hasDefinedTerm: terms
+      },
+      ...people,
+      ...works
+    ]
+  };
+
+  return `${JSON.stringify(graph, null, 2)}\n`;
+}
+
+/**
+ * Drops undefined, null and empty-string properties
+ * @param {Object} object - Object to clean
+ * @returns {Object} Copy without empty properties
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+    value !== undefined && value !== null && value !== ''
+  ));
+}
+
+/**
+ * Serializes the connections graph as GraphML (for Gephi, yEd, networkx...)
+ * Movements are nodes; connections are edges in their declared direction,
+ * undirected for connection types without a direction
+ * @param {Object} data - Loaded config
+ * @returns {string} GraphML text
+ */
+function toGraphML(data) {
+  const dataElement = (key, value) =>
+    (value === null || value === undefined ? '' : `\n      <data key="${key}">${escapeXML(value)}</data>`);
+
+  const nodes = data.movements.map(movement => {
+    const { start } = parsePeriod(movement.period);
+    return `    <node id="${escapeXML(movement.id)}">${[
+      dataElement('node_label', movement.title),
+      dataElement('period', movement.period),
+      dataElement('start_year', start),
+      dataElement('end_year', getPeriodEnd(movement.period)),
+      dataElement('description', movement.description),
+      dataElement('authors', movement.authors.length),
+      dataElement('works', (movement.works || []).length)
+    ].join('')}
+    </node>`;
+  });
+
+  const edges = getConnections(data).map((conn, index) =>
+    `    <edge id="e${index}" source="${escapeXML(conn.from)}" target="${escapeXML(conn.to)}" directed="${conn.directed}">${[
+      dataElement('relation', conn.type),
+      dataElement('edge_label', conn.desc)
+    ].join('')}
+    </edge>`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">
+  <key id="node_label" for="node" attr.name="label" attr.type="string"/>
+  <key id="period" for="node" attr.name="period" attr.type="string"/>
+  <key id="start_year" for="node" attr.name="start_year" attr.type="int"/>
+  <key id="end_year" for="node" attr.name="end_year" attr.type="int"/>
+  <key id="description" for="node" attr.name="description" attr.type="string"/>
+  <key id="authors" for="node" attr.name="authors" attr.type="int"/>
+  <key id="works" for="node" attr.name="works" attr.type="int"/>
+  <key id="relation" for="edge" attr.name="relation" attr.type="string"/>
+  <key id="edge_label" for="edge" attr.name="label" attr.type="string"/>
+  <graph id="movements" edgedefault="directed">
+${[...nodes, ...edges].join('\n')}
+  </graph>
+</graphml>
+`;
+}
+
+/**
+ * Serializes the works as BibTeX entries (for Zotero and reference managers)
+ * Movements become keywords; keys follow "surnameYEARword" (e.g., "gibson1984neuromancien")
+ * @param {Object} data - Loaded config
+ * @returns {string} BibTeX text
+ */
+function toBibTeX(data) {
+  const usedKeys = new Set();
+
+  return collectWorks(data.movements).map(work => {
+    const isBook = BIBTEX_BOOK_TYPES.includes(work.type);
+    const fields = [
+      ['author', work.authorName],
+      ['title', work.title],
+      ['origtitle', work.original_title],
+      ['year', work.year],
+      ['date', work.end_year ? `${work.year}/${work.end_year}` : null],
+      ['howpublished', !isBook && work.type ? formatWorkType(work.type) : null],
+      ['keywords', work.movements.map(movement => movement.title).join(', ')]
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+    return `@${isBook ? 'book' : 'misc'}{${getBibTeXKey(work, usedKeys)},
+${fields.map(([name, value]) => `  ${name} = {${escapeBibTeX(value)}}`).join(',\n')}
+}
+`;
+  }).join('\n');
+}
+
+/**
+ * Builds a citation key from the author's surname, the year and the first title word
+ * @param {Object} work - Collected work
+ * @param {Set<string>} used - Keys already taken (updated)
+ * @returns {string} Unique citation key
+ */
+function getBibTeXKey(work, used) {
+  const surname = slugify(work.authorName.split(/\s+/).pop()).replace(/-/g, '') || 'anon';
+  const words = slugify(work.title).split('-').filter(Boolean);
+  const word = words.find(part => part.length > 3) || words[0] || '';
+  const base = `${surname}${work.year || ''}${word}`;
+
+  let key = base;
+  for (let suffix = 98; used.has(key); suffix++) {
+    key = `${base}${String.fromCharCode(suffix)}`;
+  }
+  used.add(key);
+  return key;
+}
+
+/**
+ * Escapes BibTeX special characters
+ * @param {*} value - Field value
+ * @returns {string} Escaped value
+ */
+function escapeBibTeX(value) {
+  const escapes = { '\\': '\\textbackslash{}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' };
+  return String(value).replace(/[\\~^&%$#_{}]/g, char => escapes[char] || `\\${char}`);
+}
@@ -0,0 +1,315 @@
+/**
+ * Gestures Module
+ * Pointer-events zoom and pan controller for the timeline: Ctrl/⌘ + wheel and trackpad
+ * zoom, pinch-zoom, drag to pan with inertia, and double-tap to focus a movement
+ * Zooms are anchored: the year under the pointer stays in place
+ */
+
+import { updateZoom, getZoomLevel } from './interactions.js';
+import { showMovementDetails } from './timeline.js';
+
+// Pixels a pointer travels before a press becomes a drag
+const DRAG_THRESHOLD = 5;
+
+// Two taps within this delay (ms) and distance (px) make a double-tap
+const DOUBLE_TAP_DELAY = 300;
+const DOUBLE_TAP_DISTANCE = 25;
+
+// Inertia: share of the speed kept every 16ms, and the speed (px/ms) where it stops
+const FRICTION = 0.95;
+const MIN_SPEED = 0.02;
+
+// A drag released after resting this long (ms) does not glide
+const RELEASE_DELAY = 100;
+
+// Zoom factor per pixel of wheel delta
+const WHEEL_ZOOM_RATE = 0.002;
+
+// Wheel deltas in lines or pages, converted to pixels
+const WHEEL_LINE_HEIGHT = 16;
+const WHEEL_PAGE_HEIGHT = 800;
+
+// Share of the visible timeline a double-tapped movement fills
+const FOCUS_SHARE = 0.6;
+
+// Pointers currently down on the timeline: pointerId -> { x, y }
+const pointers = new Map();
+
+let drag = null;
+let pinch = null;
+let lastTap = null;
+let inertiaFrame = null;
+let suppressClick = false;
+
+/**
+ * Sets up wheel and pointer gestures on the timeline
+ * Listeners sit on the stable container, as the visualization is re-rendered
+ */
+export function setupGestures() {
+  const timeline = document.getElementById('timeline');
+  if (!timeline) return;
+
+  timeline.addEventListener('wheel', handleWheel, { passive: false });
+  timeline.addEventListener('pointerdown', handlePointerDown);
+  timeline.addEventListener('pointermove', handlePointerMove);
+  timeline.addEventListener('pointerup', handlePointerUp);
+  timeline.addEventListener('pointercancel', handlePointerCancel);
+
+  // A drag ends with a click on whatever is under the pointer: swallow it
+  timeline.addEventListener('click', (event) => {
+    if (suppressClick) {
+      suppressClick = false;
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  }, true);
+}
+
+/**
+ * Zooms around the cursor with Ctrl/⌘ + wheel; trackpad pinches arrive the same way
+ * A plain wheel keeps scrolling the page
+ * @param {WheelEvent} event - Wheel event
+ */
+function handleWheel(event) {
+  if (!(event.ctrlKey || event.metaKey) || !event.target.closest('.timeline-visualization')) return;
+
+  event.preventDefault();
+  stopInertia();
+
+  let delta = event.deltaY;
+  if (event.deltaMode === 1) delta *= WHEEL_LINE_HEIGHT;
+  else if (event.deltaMode === 2) delta *= WHEEL_PAGE_HEIGHT;
+
+  updateZoom(getZoomLevel() * Math.exp(-delta * WHEEL_ZOOM_RATE), event.clientX);
+}
+
+/**
+ * Starts a drag, or a pinch when a second pointer comes down
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerDown(event) {
+  const visualization = event.target.closest('.timeline-visualization');
+  if (!visualization || (event.pointerType === 'mouse' && event.button !== 0)) return;
+
+  stopInertia();
+  pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+  if (pointers.size === 1) {
+    drag = {
+      visualization,
+      startX: event.clientX,
+      startY: event.clientY,
+      lastX: event.clientX,
+      lastY: event.clientY,
+      lastTime: event.timeStamp,
+      velocity: 0,
+      moved: false
+    };
+  } else if (pointers.size === 2) {
+    endDrag();
+    pinch = { visualization, ...measurePinch(), zoom: getZoomLevel() };
+  }
+}
+
+/**
+ * Pans while dragging, zooms while pinching
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerMove(event) {
+  if (!pointers.has(event.pointerId)) return;
+  pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+  if (pinch) {
+    movePinch();
+    return;
+  }
+  if (!drag) return;
+
+  if (!drag.moved) {
+    if (Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < DRAG_THRESHOLD) return;
+
+    // Captured only now, so that a simple click still reaches the bar under the pointer
+    drag.moved = true;
+    drag.visualization.setPointerCapture(event.pointerId);
+    drag.visualization.classList.add('panning');
+  }
+
+  const dx = event.clientX - drag.lastX;
+  const dy = event.clientY - drag.lastY;
+  const dt = Math.max(1, event.timeStamp - drag.lastTime);
+
+  drag.visualization.scrollLeft -= dx;
+
+  // Lanes scroll first, then the page; touch does both by itself (touch-action: pan-y)
+  if (event.pointerType === 'mouse') {
+    const scrollTop = drag.visualization.scrollTop;
+    drag.visualization.scrollTop -= dy;
+    if (drag.visualization.scrollTop === scrollTop) window.scrollBy(0, -dy);
+  }
+
+  // Smoothed speed, for the glide after release
+  drag.velocity = 0.8 * (dx / dt) + 0.2 * drag.velocity;
+  drag.lastX = event.clientX;
+  drag.lastY = event.clientY;
+  drag.lastTime = event.timeStamp;
+}
+
+/**
+ * Ends a drag (gliding on), a pinch, or records a tap
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerUp(event) {
+  if (!pointers.has(event.pointerId)) return;
+  pointers.delete(event.pointerId);
+
+  if (pinch) {
+    // The finger left on the screen does not start a drag
+    if (pointers.size < 2) pinch = null;
+    lastTap = null;
+    return;
+  }
+  if (!drag) return;
+
+  const { visualization, moved, velocity, lastTime } = drag;
+  endDrag();
+
+  if (!moved) {
+    handleTap(event);
+    return;
+  }
+
+  lastTap = null;
+  suppressClick = true;
+  // Pointers that never turn into a click (touch pans) must not swallow the next one
+  setTimeout(() => { suppressClick = false; }, 0);
+
+  if (event.timeStamp - lastTime < RELEASE_DELAY) {
+    startInertia(visualization, velocity);
+  }
+}
+
+/**
+ * Drops a pointer taken over by the browser (page scroll, palm rejection, ...)
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerCancel(event) {
+  pointers.delete(event.pointerId);
+  if (pointers.size < 2) pinch = null;
+  endDrag();
+}
+
+/**
+ * Stops dragging
+ */
+function endDrag() {
+  if (drag) drag.visualization.classList.remove('panning');
+  drag = null;
+}
+
+/**
+ * Measures the two pointers of a pinch
+ * @returns {Object} { distance, midX } in viewport pixels
+ */
+function measurePinch() {
+  const [a, b] = Array.from(pointers.values());
+  return {
+    distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+    midX: (a.x + b.x) / 2
+  };
+}
+
+/**
+ * Zooms by the change of distance between the fingers, then pans as their midpoint moves:
+ * the year between the fingers follows them
+ */
+function movePinch() {
+  const { distance, midX } = measurePinch();
+
+  updateZoom(pinch.zoom * distance / pinch.distance, pinch.midX);
+  pinch.visualization.scrollLeft -= midX - pinch.midX;
+  pinch.midX = midX;
+}
+
+/**
+ * Detects double-taps (and double-clicks): on a movement, focuses it; elsewhere, zooms in
+ * @param {PointerEvent} event - Pointer event of the tap
+ */
+function handleTap(event) {
+  const isDouble = lastTap &&
+    event.timeStamp - lastTap.time < DOUBLE_TAP_DELAY &&
+    Math.hypot(event.clientX - lastTap.x, event.clientY - lastTap.y) < DOUBLE_TAP_DISTANCE;
+
+  if (!isDouble) {
+    lastTap = { x: event.clientX, y: event.clientY, time: event.timeStamp };
+    return;
+  }
+
+  lastTap = null;
+  const bar = event.target.closest('.movement-bar');
+  if (bar) {
+    focusMovement(bar.getAttribute('data-id'));
+  } else {
+    updateZoom(getZoomLevel() * 2, event.clientX);
+  }
+}
+
+/**
+ * Selects a movement, then zooms so it fills most of the visible timeline and centers it
+ * @param {string} movementId - Movement ID
+ */
+function focusMovement(movementId) {
+  // Selecting first: opening the sidebar narrows the timeline
+  showMovementDetails(movementId);
+
+  const bar = document.querySelector(`.movement-bar[data-id="${movementId}"]`);
+  const visualization = document.querySelector('.timeline-visualization');
+  if (!bar || !visualization || visualization.clientWidth === 0) return;
+
+  const share = bar.getBoundingClientRect().width / visualization.clientWidth;
+  if (share > 0) {
+    updateZoom(getZoomLevel() * FOCUS_SHARE / share);
+  }
+
+  const barRect = bar.getBoundingClientRect();
+  const rect = visualization.getBoundingClientRect();
+  visualization.scrollLeft += barRect.left + barRect.width / 2 - (rect.left + visualization.clientLeft + visualization.clientWidth / 2);
+}
+
+/**
+ * Keeps the timeline gliding after a fast drag, slowing down until it stops
+ * @param {HTMLElement} visualization - Scrolled timeline
+ * @param {number} velocity - Speed at release (px/ms, positive to the right)
+ */
+function startInertia(visualization, velocity) {
+  let speed = velocity;
+  let last = null;
+
+  const step = (now) => {
+    const dt = last === null ? 0 : now - last;
+    last = now;
+
+    if (dt > 0) {
+      speed *= Math.pow(FRICTION, dt / 16);
+
+      const before = visualization.scrollLeft;
+      visualization.scrollLeft -= speed * dt;
+
+      // Stop when slow enough or against an edge
+      if (Math.abs(speed) < MIN_SPEED || visualization.scrollLeft === before) {
+        inertiaFrame = null;
+        return;
+      }
+    }
+    inertiaFrame = requestAnimationFrame(step);
+  };
+
+  inertiaFrame = requestAnimationFrame(step);
+}
+
+/**
+ * Stops a glide in progress
+ */
+function stopInertia() {
+  if (inertiaFrame) cancelAnimationFrame(inertiaFrame);
+  inertiaFrame = null;
+}
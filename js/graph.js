@@ -0,0 +1,396 @@
+/**
+ * Network Graph Module
+ * Alternate view laying movements out as a force-directed graph (plain SVG)
+ */
+
+import { getMovements, getConnectionTypes } from './config.js';
+import { showMovementDetails, getCurrentSelection } from './timeline.js';
+import { parsePeriod } from './utils.js';
+import { t } from './i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Layout space (SVG viewBox units)
+const WIDTH = 1000;
+const HEIGHT = 700;
+const MARGIN = 60;
+
+// Force simulation parameters
+const ITERATIONS = 400;
+const REPULSION = 60000;
+const SPRING_LENGTH = 160;
+const SPRING_STRENGTH = 0.02;
+const GRAVITY = 0.01;
+const TIME_PULL = 0.02; // Keeps older movements on the left
+const DAMPING = 0.85;
+
+let currentView = 'timeline';
+let nodes = [];
+let edges = [];
+
+/**
+ * Sets up the view switcher and the graph interactions
+ */
+export function setupGraphView() {
+  const switcher = document.getElementById('view-switcher');
+  if (!switcher) return;
+
+  switcher.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-view]');
+    if (button) {
+      setView(button.getAttribute('data-view'));
+    }
+  });
+
+  // Keep the selected node in sync with the sidebar
+  document.addEventListener('timeline:select', updateNodeStates);
+}
+
+/**
+ * Switches between the timeline and the network graph
+ * @param {string} view - 'timeline' or 'graph'
+ */
+export function setView(view) {
+  const graphView = document.getElementById('graph-view');
+  const visualization = document.querySelector('.timeline-visualization');
+  if (!graphView || !visualization || (view !== 'timeline' && view !== 'graph')) return;
+
+  currentView = view;
+
+  visualization.classList.toggle('hidden', view !== 'timeline');
+  graphView.classList.toggle('hidden', view !== 'graph');
+
+  document.querySelectorAll('#view-switcher [data-view]').forEach(button => {
+    const isActive = button.getAttribute('data-view') === view;
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-pressed', String(isActive));
+  });
+
+  if (view === 'graph') {
+    renderGraph(getMovements());
+  }
+
+  document.dispatchEvent(new CustomEvent('timeline:view', { detail: { view } }));
+}
+
+/**
+ * Gets the current view
+ * @returns {string} 'timeline' or 'graph'
+ */
+export function getCurrentView() {
+  return currentView;
+}
+
+/**
+ * Computes a force-directed layout of the movements
+ * Starts from a chronological placement, so the result is deterministic
+ * @param {Array} movements - Array of movement objects
+ * @returns {Object} { nodes: [{ id, movement, x, y, r }], edges: [{ from, to, type, desc }] }
+ */
+export function computeGraphLayout(movements) {
+  const ids = new Set(movements.map(m => m.id));
+  const years = movements.map(m => m.year);
+  const minYear = Math.min(...years);
+  const maxYear = Math.max(...years);
+  const yearSpan = Math.max(1, maxYear - minYear);
+
+  const layoutNodes = movements.map((movement, idx) => {
+    const targetX = MARGIN + ((movement.year - minYear) / yearSpan) * (WIDTH - 2 * MARGIN);
+    const { start, end } = parsePeriod(movement.period);
+    return {
+      id: movement.id,
+      movement,
+      targetX,
+      x: targetX,
+      // Spread initial rows so nodes with the same year don't start stacked
+      y: MARGIN + ((idx * 7) % movements.length) / movements.length * (HEIGHT - 2 * MARGIN),
+      vx: 0,
+      vy: 0,
+      // Longer movements get bigger nodes
+      r: 14 + Math.min(16, Math.sqrt(Math.max(0, end - start)) * 1.5)
+    };
+  });
+
+  const layoutEdges = [];
+  movements.forEach(movement => {
+    Object.entries(movement.connections || {}).forEach(([type, connections]) => {
+      (connections || []).forEach(conn => {
+        if (ids.has(conn.to)) {
+          layoutEdges.push({ from: movement.id, to: conn.to, type, desc: conn.desc });
+        }
+      });
+    });
+  });
+
+  const byId = new Map(layoutNodes.map(node => [node.id, node]));
+  const centerX = WIDTH / 2;
+  const centerY = HEIGHT / 2;
+
+  for (let iter = 0; iter < ITERATIONS; iter++) {
+    const alpha = 1 - iter / ITERATIONS;
+
+    // Repulsion between every pair of nodes
+    for (let i = 0; i < layoutNodes.length; i++) {
+      for (let j = i + 1; j < layoutNodes.length; j++) {
+        const a = layoutNodes[i];
+        const b = layoutNodes[j];
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        if (dx === 0 && dy === 0) dy = 1;
+        const dist2 = Math.max(dx * dx + dy * dy, 1);
+        const dist = Math.sqrt(dist2);
+        const force = REPULSION / dist2;
+        dx = (dx / dist) * force;
+        dy = (dy / dist) * force;
+        a.vx -= dx;
+        a.vy -= dy;
+        b.vx += dx;
+        b.vy += dy;
+      }
+    }
+
+    // Springs along connections
+    layoutEdges.forEach(edge => {
+      const a = byId.get(edge.from);
+      const b = byId.get(edge.to);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const dist = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+      const force = (dist - SPRING_LENGTH) * SPRING_STRENGTH;
+      a.vx += (dx / dist) * force;
+      a.vy += (dy / dist) * force;
+      b.vx -= (dx / dist) * force;
+      b.vy -= (dy / dist) * force;
+    });
+
+    layoutNodes.forEach(node => {
+      // Gravity toward the center, plus a pull toward the chronological position
+      node.vx += (centerX - node.x) * GRAVITY + (node.targetX - node.x) * TIME_PULL;
+      node.vy += (centerY - node.y) * GRAVITY;
+
+      node.vx *= DAMPING;
+      node.vy *= DAMPING;
+      node.x += node.vx * alpha;
+      node.y += node.vy * alpha;
+
+      node.x = Math.max(MARGIN, Math.min(WIDTH - MARGIN, node.x));
+      node.y = Math.max(MARGIN, Math.min(HEIGHT - MARGIN, node.y));
+    });
+  }
+
+  return {
+    nodes: layoutNodes.map(({ id, movement, x, y, r }) => ({ id, movement, x, y, r })),
+    edges: layoutEdges
+  };
+}
+
+/**
+ * Renders the graph into the graph view
+ * @param {Array} movements - Array of movement objects
+ */
+function renderGraph(movements) {
+  const container = document.getElementById('graph-view');
+  if (!container) return;
+
+  ({ nodes, edges } = computeGraphLayout(movements));
+  const connectionTypes = getConnectionTypes();
+
+  container.innerHTML = `
+    <svg class="graph-svg" id="graph-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${t('graph.label')}">
+      <defs>
+        ${Object.entries(connectionTypes).filter(([, { direction }]) => direction !== 'none').map(([type, { color }]) => `
+          <marker id="graph-arrow-${type}" viewBox="0 0 10 10" refX="9" refY="5"
+                  markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"></path>
+          </marker>
+        `).join('')}
+      </defs>
+      <g class="graph-edges"></g>
+      <g class="graph-nodes"></g>
+    </svg>
+    <div class="graph-legend">
+      ${Object.values(connectionTypes).map(({ color, name }) => `
+        <span class="graph-legend-item"><span class="graph-legend-line" style="background: ${color}"></span>${name}</span>
+      `).join('')}
+    </div>
+  `;
+
+  const svg = container.querySelector('svg');
+  const edgesGroup = svg.querySelector('.graph-edges');
+  const nodesGroup = svg.querySelector('.graph-nodes');
+
+  edges.forEach(edge => {
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('class', 'graph-edge');
+    path.setAttribute('stroke', connectionTypes[edge.type].color);
+    // Undirected types have no arrowhead
+    if (connectionTypes[edge.type].direction !== 'none') {
+      path.setAttribute('marker-end', `url(#graph-arrow-${edge.type})`);
+    }
+    path.dataset.from = edge.from;
+    path.dataset.to = edge.to;
+    path.dataset.type = edge.type;
+
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = edge.desc;
+    path.appendChild(title);
+
+    edgesGroup.appendChild(path);
+  });
+
+  nodes.forEach(node => {
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', 'graph-node');
+    group.dataset.id = node.id;
+
+    const circle = document.createElementNS(SVG_NS, 'circle');
+    circle.setAttribute('r', node.r);
+
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('class', 'graph-node-label');
+    label.setAttribute('text-anchor', 'middle');
+    label.setAttribute('dy', node.r + 16);
+    label.textContent = node.movement.title;
+
+    group.appendChild(circle);
+    group.appendChild(label);
+    nodesGroup.appendChild(group);
+  });
+
+  updatePositions(svg);
+  setupGraphInteractions(svg);
+  updateNodeStates();
+}
+
+/**
+ * Updates node and edge positions from the layout
+ * @param {SVGElement} svg - Graph SVG
+ */
+function updatePositions(svg) {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+
+  svg.querySelectorAll('.graph-node').forEach(group => {
+    const node = byId.get(group.dataset.id);
+    group.setAttribute('transform', `translate(${node.x}, ${node.y})`);
+  });
+
+  svg.querySelectorAll('.graph-edge').forEach(path => {
+    const from = byId.get(path.dataset.from);
+    const to = byId.get(path.dataset.to);
+    path.setAttribute('d', edgePath(from, to));
+  });
+}
+
+/**
+ * Builds a slightly curved path between two nodes, stopping at their borders
+ * The curve bends to the left of the direction, so A→B and B→A don't overlap
+ * @param {Object} from - Source node
+ * @param {Object} to - Target node
+ * @returns {string} SVG path data
+ */
+function edgePath(from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const dist = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+  const ux = dx / dist;
+  const uy = dy / dist;
+
+  const startX = from.x + ux * from.r;
+  const startY = from.y + uy * from.r;
+  const endX = to.x - ux * (to.r + 2);
+  const endY = to.y - uy * (to.r + 2);
+
+  const bend = Math.min(40, dist * 0.15);
+  const controlX = (startX + endX) / 2 + uy * bend;
+  const controlY = (startY + endY) / 2 - ux * bend;
+
+  return `M ${startX} ${startY} Q ${controlX} ${controlY}, ${endX} ${endY}`;
+}
+
+/**
+ * Sets up click, hover and drag on graph nodes
+ * @param {SVGElement} svg - Graph SVG
+ */
+function setupGraphInteractions(svg) {
+  const DRAG_THRESHOLD = 4; // In viewBox units, below this a press is a click
+  let dragged = null;
+  let dragStart = null;
+  let hasMoved = false;
+
+  const toSvgPoint = (event) => {
+    const rect = svg.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * WIDTH,
+      y: ((event.clientY - rect.top) / rect.height) * HEIGHT
+    };
+  };
+
+  svg.addEventListener('pointerdown', (event) => {
+    const group = event.target.closest('.graph-node');
+    if (!group) return;
+    dragged = nodes.find(node => node.id === group.dataset.id);
+    dragStart = toSvgPoint(event);
+    hasMoved = false;
+    svg.setPointerCapture(event.pointerId);
+  });
+
+  svg.addEventListener('pointermove', (event) => {
+    if (dragged) {
+      const point = toSvgPoint(event);
+      if (!hasMoved && Math.hypot(point.x - dragStart.x, point.y - dragStart.y) < DRAG_THRESHOLD) return;
+      dragged.x = Math.max(MARGIN, Math.min(WIDTH - MARGIN, point.x));
+      dragged.y = Math.max(MARGIN, Math.min(HEIGHT - MARGIN, point.y));
+      hasMoved = true;
+      updatePositions(svg);
+      return;
+    }
+
+    const group = event.target.closest('.graph-node');
+    highlightNeighbours(svg, group ? group.dataset.id : null);
+  });
+
+  svg.addEventListener('pointerup', () => {
+    // A click without drag opens the sidebar, as on the timeline
+    if (dragged && !hasMoved) {
+      showMovementDetails(dragged.id);
+    }
+    dragged = null;
+  });
+
+  svg.addEventListener('pointerleave', () => {
+    if (!dragged) highlightNeighbours(svg, null);
+  });
+}
+
+/**
+ * Highlights a node's direct neighbours and edges
+ * @param {SVGElement} svg - Graph SVG
+ * @param {string|null} movementId - Hovered movement, or null to reset
+ */
+function highlightNeighbours(svg, movementId) {
+  const neighbours = new Set();
+
+  svg.querySelectorAll('.graph-edge').forEach(path => {
+    const isActive = movementId !== null && (path.dataset.from === movementId || path.dataset.to === movementId);
+    path.classList.toggle('active', isActive);
+    if (isActive) {
+      neighbours.add(path.dataset.from);
+      neighbours.add(path.dataset.to);
+    }
+  });
+
+  svg.classList.toggle('has-hover', movementId !== null);
+  svg.querySelectorAll('.graph-node').forEach(group => {
+    group.classList.toggle('highlighted', neighbours.has(group.dataset.id));
+  });
+}
+
+/**
+ * Marks the selected movement's node
+ */
+function updateNodeStates() {
+  const selection = getCurrentSelection();
+  document.querySelectorAll('.graph-node').forEach(group => {
+    group.classList.toggle('selected', group.dataset.id === selection);
+  });
+}
@@ -0,0 +1,191 @@
+/**
+ * Internationalisation Module
+ * UI message catalogs, language selection and localisation of bilingual data fields
+ */
+
+import fr from './locales/fr.js';
+import en from './locales/en.js';
+
+/**
+ * Supported languages with their native name and message catalog
+ */
+export const LOCALES = {
+  fr: { name: 'Français', messages: fr },
+  en: { name: 'English', messages: en }
+};
+
+// Language of the reference catalog and of untranslated data
+export const DEFAULT_LOCALE = 'fr';
+
+const STORAGE_KEY = 'sf-history-locale';
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Picks the initial language: `?lang=` parameter, saved choice, then browser languages
+ * @returns {string} Supported locale code
+ */
+export function detectLocale() {
+  const candidates = [];
+
+  try {
+    candidates.push(new URLSearchParams(window.location.search).get('lang'));
+    candidates.push(window.localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    // Storage may be unavailable (private browsing, file://)
+  }
+
+  if (typeof navigator !== 'undefined') {
+    candidates.push(...(navigator.languages || [navigator.language]));
+  }
+
+  const match = candidates
+    .filter(Boolean)
+    .map(code => code.toLowerCase().split('-')[0])
+    .find(code => LOCALES[code]);
+
+  return match || DEFAULT_LOCALE;
+}
+
+/**
+ * Gets the current language
+ * @returns {string} Locale code (e.g., "fr")
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Switches the interface language
+ * Saves the choice, translates static markup and notifies listeners with `timeline:locale`
+ * @param {string} locale - Locale code
+ */
+export function setLocale(locale) {
+  if (!LOCALES[locale] || locale === currentLocale) return;
+
+  currentLocale = locale;
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch (error) {
+    // Choice is not persisted, the switch still applies
+  }
+
+  // Node scripts have no page to update
+  if (typeof document === 'undefined') return;
+
+  translatePage();
+  document.dispatchEvent(new CustomEvent('timeline:locale', { detail: { locale } }));
+}
+
+/**
+ * Translates a message key
+ * Falls back to the French catalog, then to the key itself
+ * @param {string} key - Dot-separated message key (e.g., "sidebar.works")
+ * @param {Object} [params] - Values for `{name}` placeholders
+ * @returns {string} Translated message
+ */
+export function t(key, params = {}) {
+  const message = lookup(LOCALES[currentLocale].messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? params[name] : placeholder
+  );
+}
+
+/**
+ * Resolves a dot-separated key in a catalog
+ * @param {Object} messages - Message catalog
+ * @param {string} key - Message key
+ * @returns {*} Message or undefined
+ */
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+}
+
+/**
+ * Picks the current language of a data field
+ * Fields are either plain strings or per-language objects ({ "fr": "...", "en": "..." });
+ * a missing translation falls back to French, then to any available language
+ * @param {string|Object} value - Data field
+ * @param {string} [locale] - Locale code (defaults to the current language)
+ * @returns {*} Localized string, or the value unchanged when not a per-language object
+ */
+export function localize(value, locale = currentLocale) {
+  if (!isLocalizedText(value)) return value;
+
+  if (value[locale]) return value[locale];
+  if (value[DEFAULT_LOCALE]) return value[DEFAULT_LOCALE];
+  return Object.values(value).find(Boolean) || '';
+}
+
+/**
+ * Checks whether a value is a per-language object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects keyed by language code
+ */
+export function isLocalizedText(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(code => /^[a-z]{2}(-[A-Z]{2})?$/.test(code));
+}
+
+/**
+ * Translates static markup
+ * Elements declare their keys with data-i18n (text), data-i18n-placeholder,
+ * data-i18n-title and data-i18n-aria-label
+ * @param {ParentNode} [root] - Subtree to translate
+ */
+export function translatePage(root = document) {
+  document.documentElement.lang = currentLocale;
+
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+}
+
+/**
+ * Sets up the language: detects it, translates the page and wires the switcher buttons
+ */
+export function setupLocale() {
+  currentLocale = detectLocale();
+  translatePage();
+
+  const switcher = document.getElementById('locale-switcher');
+  if (!switcher) return;
+
+  switcher.innerHTML = '';
+  Object.keys(LOCALES).forEach(locale => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'filter-btn';
+    button.dataset.locale = locale;
+    button.lang = locale;
+    button.title = LOCALES[locale].name;
+    button.textContent = locale.toUpperCase();
+    switcher.appendChild(button);
+  });
+
+  const updateButtons = () => {
+    switcher.querySelectorAll('[data-locale]').forEach(button => {
+      const isActive = button.dataset.locale === currentLocale;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+  };
+
+  switcher.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-locale]');
+    if (button) setLocale(button.dataset.locale);
+  });
+
+  document.addEventListener('timeline:locale', updateButtons);
+  updateButtons();
+}
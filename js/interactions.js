@@ -7,15 +7,29 @@ import {
   highlightConnections,
   drawConnections,
   showMovementDetails,
+  showAuthorDetails,
+  updateDetailLevel,
 } from "./timeline.js";
-import { getMovements } from "./config.js";
+import {
+  getMovements,
+  findMovementById,
+  findAuthorById,
+  getMovementsByAuthor,
+} from "./config.js";
+import { updateMinimap } from "./minimap.js";
+import { t } from "./i18n.js";
 
 /**
  * Sets up all event listeners for user interactions
  */
 export function setupInteractions() {
   setupBarInteractions();
+  setupKeyboardNavigation();
+  setupKeyboardActivation();
+  setupAnnouncements();
   setupConnectionClicks();
+  setupAuthorClicks();
+  setupTooltips();
   setupWindowResize();
   setupSidebarToggle();
   setupZoomControls();
@@ -33,7 +47,15 @@ function setupBarInteractions() {
     if (bar && !event.target.closest(".connection-link")) {
       const movementId = bar.getAttribute("data-id");
       if (movementId) {
-        showMovementDetails(movementId);
+        // Clicking a work marker opens the movement with that work highlighted
+        const marker = event.target.closest(".work-marker");
+        if (marker) {
+          showMovementDetails(movementId, {
+            highlightWork: Number(marker.getAttribute("data-work-index")),
+          });
+        } else {
+          showMovementDetails(movementId);
+        }
       }
     }
   });
@@ -64,6 +86,187 @@ function setupBarInteractions() {
   );
 }
 
+/**
+ * Sets up keyboard navigation on the timeline
+ * Arrow keys move between bars by time (left/right) and by lane (up/down), Home/End jump
+ * to the first/last movement, Escape closes the sidebar; a focused bar shows its
+ * connections as when hovered
+ */
+function setupKeyboardNavigation() {
+  const timeline = document.getElementById("timeline");
+
+  timeline.addEventListener("keydown", (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    if (event.key === "Escape" && isSidebarVisible()) {
+      event.preventDefault();
+      const fromSidebar = event.target.closest("#details-sidebar");
+      setSidebarVisible(false);
+
+      // Focus would be lost with the sidebar: return it to the timeline
+      if (fromSidebar) {
+        const bar = document.querySelector('.movement-bar[tabindex="0"]');
+        if (bar) bar.focus();
+      }
+      return;
+    }
+
+    const bar = event.target.closest(".movement-bar");
+    const target = bar && findNeighborBar(bar, event.key);
+    if (target) {
+      // Handled: the tour player leaves the key alone
+      event.preventDefault();
+      setFocusableBar(target);
+      target.focus();
+    }
+  });
+
+  timeline.addEventListener("focusin", (event) => {
+    const bar = event.target.closest(".movement-bar");
+    if (bar) {
+      setFocusableBar(bar);
+      highlightConnections(bar.getAttribute("data-id"), true);
+    }
+  });
+
+  timeline.addEventListener("focusout", (event) => {
+    const bar = event.target.closest(".movement-bar");
+    if (bar) {
+      highlightConnections(bar.getAttribute("data-id"), false);
+    }
+  });
+
+  // Selections from elsewhere (search, sidebar links, URL) move the tab stop too
+  document.addEventListener("timeline:select", (event) => {
+    const { movementId } = event.detail;
+    const bar = movementId && document.querySelector(`.movement-bar[data-id="${movementId}"]`);
+    if (bar) {
+      setFocusableBar(bar);
+    }
+  });
+}
+
+/**
+ * Finds the bar an arrow, Home or End key moves to
+ * Bars are ordered by start, then lane; up/down go to the nearest lane above/below,
+ * on the bar closest in time
+ * @param {HTMLElement} bar - Focused bar
+ * @param {string} key - Key name
+ * @returns {HTMLElement|null} Target bar, or null if the key does not move
+ */
+function findNeighborBar(bar, key) {
+  const bars = Array.from(document.querySelectorAll(".movement-bar")).map((element) => {
+    const left = parseFloat(element.style.left) || 0;
+    return {
+      element,
+      left,
+      center: left + (parseFloat(element.style.width) || 0) / 2,
+      top: parseFloat(element.style.top) || 0,
+    };
+  });
+  bars.sort((a, b) => a.left - b.left || a.top - b.top);
+
+  const index = bars.findIndex((entry) => entry.element === bar);
+  const current = bars[index];
+
+  if (key === "ArrowRight") {
+    return index < bars.length - 1 ? bars[index + 1].element : null;
+  }
+  if (key === "ArrowLeft") {
+    return index > 0 ? bars[index - 1].element : null;
+  }
+  if (key === "Home") {
+    return bars[0].element;
+  }
+  if (key === "End") {
+    return bars[bars.length - 1].element;
+  }
+  if (key !== "ArrowUp" && key !== "ArrowDown") {
+    return null;
+  }
+
+  const direction = key === "ArrowDown" ? 1 : -1;
+  const candidates = bars.filter((entry) => (entry.top - current.top) * direction > 0);
+  if (candidates.length === 0) return null;
+
+  const laneDistance = Math.min(...candidates.map((entry) => Math.abs(entry.top - current.top)));
+  return candidates
+    .filter((entry) => Math.abs(entry.top - current.top) === laneDistance)
+    .sort((a, b) => Math.abs(a.center - current.center) - Math.abs(b.center - current.center))[0].element;
+}
+
+/**
+ * Makes a bar the one reached with Tab (roving tab stop)
+ * @param {HTMLElement} bar - Movement bar
+ */
+function setFocusableBar(bar) {
+  document.querySelectorAll(".movement-bar").forEach((element) => {
+    element.setAttribute("tabindex", element === bar ? "0" : "-1");
+  });
+}
+
+/**
+ * Lets elements acting as buttons (bars, author chips) respond to Enter and Space like a click
+ */
+function setupKeyboardActivation() {
+  document.addEventListener("keydown", (event) => {
+    if (event.key !== "Enter" && event.key !== " ") return;
+    if (!event.target.matches || !event.target.matches('[role="button"]:not(button)')) return;
+
+    event.preventDefault();
+    event.target.click();
+  });
+}
+
+/**
+ * Announces sidebar changes to screen readers
+ */
+function setupAnnouncements() {
+  document.addEventListener("timeline:select", (event) => {
+    const { movementId } = event.detail;
+    const movement = movementId && findMovementById(movementId);
+    announce(
+      movement
+        ? t("a11y.movementShown", { title: movement.title, period: movement.period })
+        : t("a11y.selectionCleared")
+    );
+  });
+
+  document.addEventListener("timeline:author", (event) => {
+    const author = findAuthorById(event.detail.authorId);
+    if (author) {
+      announce(
+        t("a11y.authorShown", {
+          name: author.name,
+          count: getMovementsByAuthor(author.id).length,
+        })
+      );
+    }
+  });
+
+  document.addEventListener("timeline:sidebar", (event) => {
+    announce(t(event.detail.visible ? "a11y.sidebarShown" : "a11y.sidebarHidden"));
+  });
+}
+
+let announceTimeout;
+
+/**
+ * Reads a message out through the polite live region
+ * @param {string} message - Message to announce
+ */
+export function announce(message) {
+  const region = document.getElementById("announcer");
+  if (!region) return;
+
+  // Emptying first makes screen readers repeat an identical message
+  region.textContent = "";
+  clearTimeout(announceTimeout);
+  announceTimeout = setTimeout(() => {
+    region.textContent = message;
+  }, 100);
+}
+
 /**
  * Sets up click interactions for connection links in sidebar
  */
@@ -73,6 +276,8 @@ function setupConnectionClicks() {
   timeline.addEventListener("click", (event) => {
     const link = event.target.closest(".connection-link");
     if (link) {
+      // Links also work without JS (static build): select instead of following them
+      event.preventDefault();
       event.stopPropagation();
       const targetId = link.getAttribute("data-target");
       if (targetId) {
@@ -84,18 +289,116 @@ function setupConnectionClicks() {
   });
 }
 
+/**
+ * Sets up clicks on author chips and work authors in sidebar: opens the author view
+ */
+function setupAuthorClicks() {
+  const timeline = document.getElementById("timeline");
+
+  timeline.addEventListener("click", (event) => {
+    const author = event.target.closest(".author[data-author-id], .author-link");
+    if (!author) return;
+
+    const authorId = author.getAttribute("data-author-id");
+    if (authorId) {
+      showAuthorDetails(authorId);
+    }
+  });
+}
+
+/**
+ * Sets up the tooltip shown when hovering a work marker on a bar or the label of a connection
+ */
+function setupTooltips() {
+  const timeline = document.getElementById("timeline");
+
+  const tooltip = document.createElement("div");
+  tooltip.className = "work-tooltip hidden";
+  tooltip.setAttribute("role", "tooltip");
+  document.body.appendChild(tooltip);
+
+  timeline.addEventListener(
+    "mouseenter",
+    (event) => {
+      const marker =
+        event.target.closest && event.target.closest(".work-marker, .connection-label");
+      if (!marker) return;
+
+      // Titles, names and descriptions are data: set as text, never as markup
+      if (marker.classList.contains("connection-label")) {
+        tooltip.replaceChildren(
+          createTooltipLine("work-tooltip-title", marker.getAttribute("data-title")),
+          createTooltipLine("work-tooltip-meta", marker.getAttribute("data-desc")),
+        );
+      } else {
+        const author = marker.getAttribute("data-author");
+        tooltip.replaceChildren(
+          createTooltipLine("work-tooltip-title", marker.getAttribute("data-title")),
+          createTooltipLine(
+            "work-tooltip-meta",
+            `${author ? `${author}, ` : ""}${marker.getAttribute("data-year")}`,
+          ),
+        );
+      }
+
+      const rect = marker.getBoundingClientRect();
+      tooltip.style.left = `${rect.left + rect.width / 2}px`;
+      tooltip.style.top = `${rect.top}px`;
+      tooltip.classList.remove("hidden");
+    },
+    true
+  );
+
+  timeline.addEventListener(
+    "mouseleave",
+    (event) => {
+      if (event.target.closest && event.target.closest(".work-marker, .connection-label")) {
+        tooltip.classList.add("hidden");
+      }
+    },
+    true
+  );
+}
+
+/**
+ * Creates a line of the tooltip
+ * @param {string} className - Class of the line
+ * @param {string} text - Text of the line
+ * @returns {HTMLElement} Line element
+ */
+function createTooltipLine(className, text) {
+  const line = document.createElement("div");
+  line.className = className;
+  line.textContent = text;
+  return line;
+}
+
+// Duration of the sidebar width transition (ms)
+const SIDEBAR_TRANSITION_MS = 300;
+
 /**
  * Sets up window resize handler
+ * The level of detail and the minimap follow the timeline width, which also changes with the sidebar and the view
  */
 function setupWindowResize() {
   let resizeTimeout;
   window.addEventListener("resize", () => {
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
+      updateDetailLevel();
+      updateMinimap();
       const movements = getMovements();
       drawConnections(movements);
     }, 150);
   });
+
+  document.addEventListener("timeline:view", updateDetailLevel);
+  document.addEventListener("timeline:sidebar", () => {
+    setTimeout(() => {
+      updateDetailLevel();
+      updateMinimap();
+    }, SIDEBAR_TRANSITION_MS);
+  });
 }
 
 /**
@@ -103,28 +406,56 @@ function setupWindowResize() {
  */
 function setupSidebarToggle() {
   const toggleButton = document.getElementById("sidebar-toggle");
-  const sidebar = document.getElementById("details-sidebar");
-  const container = document.getElementById("timeline");
 
-  if (!toggleButton || !sidebar || !container) return;
+  if (!toggleButton) return;
 
   toggleButton.addEventListener("click", () => {
     const isActive = toggleButton.classList.contains("active");
-
-    if (isActive) {
-      // Hide sidebar
-      sidebar.classList.add("hidden");
-      container.classList.add("sidebar-hidden");
-      toggleButton.classList.remove("active");
-    } else {
-      // Show sidebar
-      sidebar.classList.remove("hidden");
-      container.classList.remove("sidebar-hidden");
-      toggleButton.classList.add("active");
-    }
+    setSidebarVisible(!isActive);
   });
 }
 
+/**
+ * Shows or hides the details sidebar
+ * @param {boolean} visible - Whether the sidebar should be visible
+ */
+export function setSidebarVisible(visible) {
+  const toggleButton = document.getElementById("sidebar-toggle");
+  const sidebar = document.getElementById("details-sidebar");
+  const container = document.getElementById("timeline");
+
+  if (!sidebar || !container) return;
+
+  sidebar.classList.toggle("hidden", !visible);
+  container.classList.toggle("sidebar-hidden", !visible);
+  if (toggleButton) {
+    toggleButton.classList.toggle("active", visible);
+    toggleButton.setAttribute("aria-expanded", String(visible));
+  }
+
+  document.dispatchEvent(
+    new CustomEvent("timeline:sidebar", { detail: { visible } })
+  );
+}
+
+/**
+ * Checks whether the details sidebar is visible
+ * @returns {boolean} True if the sidebar is shown
+ */
+export function isSidebarVisible() {
+  const sidebar = document.getElementById("details-sidebar");
+  return Boolean(sidebar) && !sidebar.classList.contains("hidden");
+}
+
+// Zoom state: actual zoom level, displayed as half (2x zoom shows as 100%)
+const DEFAULT_ZOOM = 4.0; // 200% actual = 100% display (default - zoomed in 2x)
+const MIN_ZOOM = 0.5; // 50% actual = 25% display
+const MAX_ZOOM = 8.0; // 800% actual = 400% display
+const ZOOM_STEP = 0.5; // 50% increments in actual zoom
+
+let zoomLevel = DEFAULT_ZOOM;
+let redrawTimeout;
+
 /**
  * Sets up zoom controls functionality
  */
@@ -132,66 +463,124 @@ function setupZoomControls() {
   const zoomInBtn = document.getElementById("zoom-in");
   const zoomOutBtn = document.getElementById("zoom-out");
   const zoomLevelDisplay = document.getElementById("zoom-level");
-  const timeAxis = document.getElementById("time-axis");
-  const movementBars = document.getElementById("movements-bars");
-  const connectionsSvg = document.getElementById("connections-svg");
 
   if (!zoomInBtn || !zoomOutBtn || !zoomLevelDisplay) return;
 
-  let zoomLevel = 4.0; // 200% actual = 100% display (default - zoomed in 2x)
-  const minZoom = 0.5; // 50% actual = 25% display
-  const maxZoom = 8.0; // 800% actual = 400% display
-  const zoomStep = 0.5; // 50% increments in actual zoom
-
-  function updateZoom(newZoom) {
-    zoomLevel = Math.max(minZoom, Math.min(maxZoom, newZoom));
-
-    // Update display (divide by 2 to show 2x zoom as 100%)
-    zoomLevelDisplay.textContent = `${Math.round(zoomLevel * 50)}%`;
-
-    // Apply zoom to timeline elements
-    // Base width is 300%, zoomLevel 2.0 gives 600% (which displays as 100%)
-    if (timeAxis) {
-      timeAxis.style.width = `${300 * zoomLevel}%`;
-    }
-    if (movementBars) {
-      movementBars.style.width = `${300 * zoomLevel}%`;
-    }
-    if (connectionsSvg) {
-      connectionsSvg.style.width = `${300 * zoomLevel}%`;
-    }
-
-    // Redraw connections after zoom
-    setTimeout(() => {
-      const movements = getMovements();
-      drawConnections(movements);
-    }, 50);
-  }
-
   zoomInBtn.addEventListener("click", () => {
-    updateZoom(zoomLevel + zoomStep);
+    updateZoom(zoomLevel + ZOOM_STEP);
   });
 
   zoomOutBtn.addEventListener("click", () => {
-    updateZoom(zoomLevel - zoomStep);
+    updateZoom(zoomLevel - ZOOM_STEP);
   });
 
   // Keyboard shortcuts: Ctrl/Cmd + / Ctrl/Cmd -
   window.addEventListener("keydown", (e) => {
     if ((e.ctrlKey || e.metaKey) && (e.key === "+" || e.key === "=")) {
       e.preventDefault();
-      updateZoom(zoomLevel + zoomStep);
+      updateZoom(zoomLevel + ZOOM_STEP);
     } else if ((e.ctrlKey || e.metaKey) && (e.key === "-" || e.key === "_")) {
       e.preventDefault();
-      updateZoom(zoomLevel - zoomStep);
+      updateZoom(zoomLevel - ZOOM_STEP);
     } else if ((e.ctrlKey || e.metaKey) && e.key === "0") {
       e.preventDefault();
-      updateZoom(4.0); // Reset to 100% (which is 2x zoom)
+      updateZoom(DEFAULT_ZOOM); // Reset to 100% (which is 2x zoom)
     }
   });
 
   // Set initial zoom to 2x (displays as 100%)
-  updateZoom(4.0);
+  updateZoom(DEFAULT_ZOOM);
+}
+
+/**
+ * Applies a zoom level to the timeline, keeping the year under a point in place
+ * @param {number} newZoom - Actual zoom level (clamped to the allowed range)
+ * @param {number} [anchorX] - Viewport x of the point to keep in place (default: middle of the visible timeline)
+ */
+export function updateZoom(newZoom, anchorX) {
+  const zoomLevelDisplay = document.getElementById("zoom-level");
+  const timeAxis = document.getElementById("time-axis");
+  const movementBars = document.getElementById("movements-bars");
+  const connectionsSvg = document.getElementById("connections-svg");
+  const visualization = document.querySelector(".timeline-visualization");
+
+  // Where the anchor falls on the timeline, as a share of its width
+  let anchor = null;
+  if (visualization && movementBars) {
+    const barsRect = movementBars.getBoundingClientRect();
+    const x =
+      anchorX !== undefined
+        ? anchorX
+        : visualization.getBoundingClientRect().left +
+          visualization.clientLeft +
+          visualization.clientWidth / 2;
+    if (barsRect.width > 0) {
+      anchor = { x, share: (x - barsRect.left) / barsRect.width };
+    }
+  }
+
+  zoomLevel = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, newZoom));
+
+  // Update display (divide by 2 to show 2x zoom as 100%)
+  if (zoomLevelDisplay) {
+    zoomLevelDisplay.textContent = `${getZoomPercent()}%`;
+  }
+
+  // Apply zoom to timeline elements
+  // Base width is 300%, zoomLevel 2.0 gives 600% (which displays as 100%)
+  if (timeAxis) {
+    timeAxis.style.width = `${300 * zoomLevel}%`;
+  }
+  if (movementBars) {
+    movementBars.style.width = `${300 * zoomLevel}%`;
+  }
+  if (connectionsSvg) {
+    connectionsSvg.style.width = `${300 * zoomLevel}%`;
+  }
+
+  updateDetailLevel();
+
+  // Scroll the same year back under the anchor
+  if (anchor) {
+    const barsRect = movementBars.getBoundingClientRect();
+    visualization.scrollLeft += barsRect.left + anchor.share * barsRect.width - anchor.x;
+  }
+  updateMinimap();
+
+  document.dispatchEvent(
+    new CustomEvent("timeline:zoom", { detail: { zoomLevel } })
+  );
+
+  // Redraw connections once zooming settles (gestures zoom on every move)
+  clearTimeout(redrawTimeout);
+  redrawTimeout = setTimeout(() => {
+    const movements = getMovements();
+    drawConnections(movements);
+  }, 50);
+}
+
+/**
+ * Gets the actual zoom level
+ * @returns {number} Zoom level (4 = default, displayed as 100%)
+ */
+export function getZoomLevel() {
+  return zoomLevel;
+}
+
+/**
+ * Gets the current zoom level as displayed to the user
+ * @returns {number} Zoom percentage (100 = default)
+ */
+export function getZoomPercent() {
+  return Math.round(zoomLevel * 50);
+}
+
+/**
+ * Sets the zoom level from a displayed percentage
+ * @param {number} percent - Zoom percentage (100 = default)
+ */
+export function setZoomPercent(percent) {
+  updateZoom(percent / 50);
 }
 
 /**
@@ -199,7 +588,7 @@ function setupZoomControls() {
  * @param {string} id - Movement ID to scroll to
  */
 export function scrollToMovementBar(id) {
-  const bar = document.querySelector(`[data-id="${id}"]`);
+  const bar = document.querySelector(`.movement-bar[data-id="${id}"]`);
   if (!bar) {
     console.warn(`Movement with ID '${id}' not found`);
     return;
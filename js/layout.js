@@ -0,0 +1,294 @@
+/**
+ * Lane Layout Module
+ * Stacks movements in lanes (rows) so that bars never overlap in time
+ * 'connected' (default) keeps connected movements close and avoids crossing curves;
+ * 'greedy' puts each movement in the first free lane, by start year
+ * Both keep the lanes pinned in the data
+ */
+
+import { parsePeriod } from './utils.js';
+
+// Years kept free between two movements of a lane (metadata.lanes.gap)
+const DEFAULT_GAP = 5;
+
+// Costs weighed by the connected layout: per lane a curve spans, per crossing, per lane used
+const LENGTH_COST = 1;
+const CROSSING_COST = 2;
+const LANE_COST = 3;
+
+// Improvement rounds of the connected layout (it stops earlier once nothing improves)
+const MAX_PASSES = 8;
+
+// Lanes with the shortest curves a movement may move to, checked for crossings
+const MOVE_CANDIDATES = 3;
+
+/**
+ * Assigns a lane to each movement: `movement.lane`, 0 being the top lane
+ * A movement's `pinnedLane` (its `lane` in the data) is kept as is, even if it overlaps
+ * another pinned movement
+ * @param {Array} movements - Array of movement objects
+ * @param {Object} [options={}] - metadata.lanes: { layout, gap }
+ * @returns {Array} The movements, with their lane
+ */
+export function assignLanes(movements, options = {}) {
+  const gap = options.gap !== undefined ? options.gap : DEFAULT_GAP;
+
+  // Sort by start year, then by end year (longer spans first)
+  const items = movements.map(movement => {
+    const { start, end } = parsePeriod(movement.period);
+    const pinned = Number.isInteger(movement.pinnedLane) && movement.pinnedLane >= 0;
+    return { movement, start, end, pin: pinned ? movement.pinnedLane : null, lane: 0, edges: [] };
+  }).sort((a, b) => (a.start - b.start) || ((b.end - b.start) - (a.end - a.start)));
+
+  if (options.layout === 'greedy') {
+    greedyLayout(items, gap);
+  } else {
+    connectedLayout(items, gap);
+  }
+
+  items.forEach(item => { item.movement.lane = item.lane; });
+  return movements;
+}
+
+/**
+ * Puts each movement in the first lane free for its period
+ * @param {Array} items - Layout items, by start year
+ * @param {number} gap - Years between two movements of a lane
+ */
+function greedyLayout(items, gap) {
+  const placed = placePinned(items);
+
+  items.filter(item => item.pin === null).forEach(item => {
+    let lane = 0;
+    while (!fits(item, lane, placed, gap)) lane++;
+    item.lane = lane;
+    placed.push(item);
+  });
+}
+
+/**
+ * Places movements near the ones they are connected to, then moves and swaps them between
+ * lanes while it shortens the curves, removes crossings or saves lanes
+ * @param {Array} items - Layout items, by start year
+ * @param {number} gap - Years between two movements of a lane
+ */
+function connectedLayout(items, gap) {
+  const edges = collectEdges(items);
+  const placed = placePinned(items);
+
+  // First pass: the free lane closest to the connected movements placed so far
+  items.filter(item => item.pin === null).forEach(item => {
+    const laneCount = countLanes(placed);
+    let best = null;
+
+    for (let lane = 0; lane <= laneCount; lane++) {
+      if (!fits(item, lane, placed, gap)) continue;
+
+      const cost = lengthCost(item, lane, laneCount, placed);
+      if (!best || cost < best.cost) best = { lane, cost };
+    }
+
+    item.lane = best.lane;
+    placed.push(item);
+  });
+
+  // Then improve: single moves, then swaps of movements that overlap in time (which
+  // moves cannot exchange), until nothing gets better
+  const free = items.filter(item => item.pin === null);
+  const swaps = [];
+  free.forEach((a, i) => {
+    free.slice(i + 1).forEach(b => {
+      if ((a.edges.length > 0 || b.edges.length > 0) && overlaps(a, b, gap)) swaps.push([a, b]);
+    });
+  });
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let improved = false;
+
+    free.forEach(item => {
+      const laneCount = countLanes(items);
+      const current = item.lane;
+      let best = { lane: current, cost: layoutCost([item], edges, items) };
+
+      // Counting crossings is costly: only for the lanes with the shortest curves
+      const candidates = [];
+      for (let lane = 0; lane <= laneCount; lane++) {
+        if (lane !== current && fits(item, lane, items, gap)) {
+          candidates.push({ lane, cost: lengthCost(item, lane, laneCount, items) });
+        }
+      }
+      candidates.sort((a, b) => a.cost - b.cost).slice(0, MOVE_CANDIDATES).forEach(({ lane }) => {
+        item.lane = lane;
+        const cost = layoutCost([item], edges, items);
+        if (cost < best.cost) best = { lane, cost };
+      });
+
+      item.lane = best.lane;
+      if (best.lane !== current) improved = true;
+    });
+
+    swaps.forEach(([a, b]) => {
+      if (a.lane === b.lane) return;
+
+      // Only swaps that do not lengthen the curves are checked for crossings
+      const length = lengthCost(a, a.lane, Infinity, items) + lengthCost(b, b.lane, Infinity, items);
+      if (lengthCost(a, b.lane, Infinity, items) + lengthCost(b, a.lane, Infinity, items) > length) return;
+
+      [a.lane, b.lane] = [b.lane, a.lane];
+      if (!fits(a, a.lane, items, gap) || !fits(b, b.lane, items, gap)) {
+        [a.lane, b.lane] = [b.lane, a.lane];
+        return;
+      }
+      const after = layoutCost([a, b], edges, items);
+      [a.lane, b.lane] = [b.lane, a.lane];
+
+      if (after < layoutCost([a, b], edges, items)) {
+        [a.lane, b.lane] = [b.lane, a.lane];
+        improved = true;
+      }
+    });
+
+    if (!improved) break;
+  }
+
+  // Moves can leave lanes empty: close them up, unless lanes are pinned
+  if (items.every(item => item.pin === null)) {
+    const used = Array.from(new Set(items.map(item => item.lane))).sort((a, b) => a - b);
+    items.forEach(item => { item.lane = used.indexOf(item.lane); });
+  }
+}
+
+/**
+ * Places the pinned movements in their lane
+ * @param {Array} items - Layout items
+ * @returns {Array} The pinned items
+ */
+function placePinned(items) {
+  const pinned = items.filter(item => item.pin !== null);
+  pinned.forEach(item => { item.lane = item.pin; });
+  return pinned;
+}
+
+/**
+ * Checks whether a lane is free for a movement's period (and the gap around it)
+ * @param {Object} item - Layout item
+ * @param {number} lane - Lane to check
+ * @param {Array} placed - Items already in lanes
+ * @param {number} gap - Years between two movements of a lane
+ * @returns {boolean} True if no other movement of the lane overlaps
+ */
+function fits(item, lane, placed, gap) {
+  return placed.every(other => other === item || other.lane !== lane || !overlaps(item, other, gap));
+}
+
+/**
+ * Checks whether two movements overlap in time, or are closer than the gap
+ * @param {Object} a - Layout item
+ * @param {Object} b - Layout item
+ * @param {number} gap - Years between two movements of a lane
+ * @returns {boolean} True if they cannot share a lane
+ */
+function overlaps(a, b, gap) {
+  return a.start < b.end + gap && b.start < a.end + gap;
+}
+
+/**
+ * Counts the lanes in use
+ * @param {Array} items - Placed layout items
+ * @returns {number} Highest lane + 1
+ */
+function countLanes(items) {
+  return items.reduce((count, item) => Math.max(count, item.lane + 1), 0);
+}
+
+/**
+ * Lists the connections between movements, as drawn on the timeline:
+ * from the end of the declaring movement to the start of its target
+ * Each item also lists its own edges
+ * @param {Array} items - Layout items
+ * @returns {Array} Edges { from, to, index } between items
+ */
+function collectEdges(items) {
+  const byId = new Map(items.map(item => [item.movement.id, item]));
+  const edges = [];
+
+  items.forEach(item => {
+    Object.values(item.movement.connections || {}).forEach(connections => {
+      (connections || []).forEach(conn => {
+        const target = byId.get(conn.to);
+        if (!target || target === item) return;
+
+        const edge = { from: item, to: target, index: edges.length };
+        edges.push(edge);
+        item.edges.push(edge);
+        target.edges.push(edge);
+      });
+    });
+  });
+
+  return edges;
+}
+
+/**
+ * Cost of a movement's curves in a lane, by their length only, and of opening that lane
+ * @param {Object} item - Layout item
+ * @param {number} lane - Candidate lane
+ * @param {number} laneCount - Lanes in use (Infinity: the lane is not a new one)
+ * @param {Array} placed - Items already in lanes
+ * @returns {number} Cost
+ */
+function lengthCost(item, lane, laneCount, placed) {
+  let cost = lane === laneCount ? LANE_COST : 0;
+  item.edges.forEach(edge => {
+    const other = edge.from === item ? edge.to : edge.from;
+    if (placed.includes(other)) cost += LENGTH_COST * Math.abs(lane - other.lane);
+  });
+  return cost;
+}
+
+/**
+ * Cost of the layout parts that depend on some movements' lanes: length and crossings of
+ * their curves, and lanes used
+ * Comparing it before and after moving these movements compares the whole layouts
+ * @param {Array} moved - Layout items whose lane changes
+ * @param {Array} edges - All edges
+ * @param {Array} items - All layout items
+ * @returns {number} Cost
+ */
+function layoutCost(moved, edges, items) {
+  // Curves of the moved movements, each once
+  const own = new Set();
+  moved.forEach(item => item.edges.forEach(edge => own.add(edge)));
+
+  let cost = LANE_COST * countLanes(items);
+  own.forEach(edge => {
+    cost += LENGTH_COST * Math.abs(edge.from.lane - edge.to.lane);
+
+    edges.forEach(other => {
+      // Pairs of own curves are counted once
+      if (own.has(other) && other.index <= edge.index) return;
+      if (crosses(edge, other)) cost += CROSSING_COST;
+    });
+  });
+
+  return cost;
+}
+
+/**
+ * Checks whether two curves cross, drawn as straight segments (year, lane)
+ * Curves meeting at a movement do not cross
+ * @param {Object} a - Edge
+ * @param {Object} b - Edge
+ * @returns {boolean} True if the segments cross
+ */
+function crosses(a, b) {
+  if (a.from === b.from || a.from === b.to || a.to === b.from || a.to === b.to) return false;
+
+  const ax = a.from.end, ay = a.from.lane, bx = a.to.start, by = a.to.lane;
+  const cx = b.from.end, cy = b.from.lane, dx = b.to.start, dy = b.to.lane;
+
+  // Sides of a point relative to a segment, by the sign of their cross product
+  const side = (ox, oy, px, py, qx, qy) => Math.sign((px - ox) * (qy - oy) - (py - oy) * (qx - ox));
+  return side(ax, ay, bx, by, cx, cy) * side(ax, ay, bx, by, dx, dy) < 0 &&
+    side(cx, cy, dx, dy, ax, ay) * side(cx, cy, dx, dy, bx, by) < 0;
+}
@@ -0,0 +1,227 @@
+/**
+ * Lineage Module
+ * Connection-type filters, transitive lineage tracing and connection paths between movements
+ */
+
+import { getMovements, getConnectionTypes } from './config.js';
+import {
+  getCurrentSelection,
+  getVisibleConnectionTypes,
+  setVisibleConnectionTypes
+} from './timeline.js';
+
+let lineageMode = false;
+
+/**
+ * Lists connections as causal edges, oriented from ancestor to descendant
+ * Undirected connections ('related') yield an edge in both directions
+ * @param {Array} movements - Array of movement objects
+ * @param {Set<string>} types - Connection types to follow
+ * @returns {Array} Edges of { ancestor, descendant, from, to, type } (from/to as declared)
+ */
+export function getCausalEdges(movements, types) {
+  const edges = [];
+  const connectionTypes = getConnectionTypes();
+
+  movements.forEach(movement => {
+    Object.entries(movement.connections || {}).forEach(([type, connections]) => {
+      if (!types.has(type) || !connections) return;
+
+      const direction = connectionTypes[type] ? connectionTypes[type].direction : 'none';
+
+      connections.forEach(conn => {
+        const declared = { from: movement.id, to: conn.to, type };
+        if (direction === 'forward' || direction === 'none') {
+          edges.push({ ...declared, ancestor: movement.id, descendant: conn.to });
+        }
+        if (direction === 'backward' || direction === 'none') {
+          edges.push({ ...declared, ancestor: conn.to, descendant: movement.id });
+        }
+      });
+    });
+  });
+
+  return edges;
+}
+
+/**
+ * Traces all transitive ancestors and descendants of a movement
+ * @param {string} movementId - Movement to start from
+ * @param {Array} movements - Array of movement objects
+ * @param {Set<string>} types - Connection types to follow
+ * @returns {Object} { ancestors: Set, descendants: Set, edges: Set of "from|to|type" keys }
+ */
+export function traceLineage(movementId, movements, types) {
+  const causalEdges = getCausalEdges(movements, types);
+  const lineageEdges = new Set();
+
+  const walk = (startId, nextOf, endOf) => {
+    const visited = new Set();
+    const queue = [startId];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      causalEdges.forEach(edge => {
+        if (nextOf(edge) !== current) return;
+        lineageEdges.add(`${edge.from}|${edge.to}|${edge.type}`);
+        const next = endOf(edge);
+        if (next !== movementId && !visited.has(next)) {
+          visited.add(next);
+          queue.push(next);
+        }
+      });
+    }
+
+    return visited;
+  };
+
+  const ancestors = walk(movementId, edge => edge.descendant, edge => edge.ancestor);
+  const descendants = walk(movementId, edge => edge.ancestor, edge => edge.descendant);
+
+  return { ancestors, descendants, edges: lineageEdges };
+}
+
+/**
+ * Finds a shortest chain of connections between two movements
+ * Connections are followed both ways, whatever their direction, so any relationship counts
+ * @param {string} fromId - First movement
+ * @param {string} toId - Second movement
+ * @param {Array} movements - Array of movement objects
+ * @param {Set<string>} types - Connection types to follow
+ * @returns {Array|null} Steps of { from, to, type, desc, reversed } from fromId to toId,
+ *   where `reversed` is true when the connection is declared by `to`; null when unconnected
+ */
+export function findConnectionPath(fromId, toId, movements, types) {
+  const neighbors = new Map();
+  const link = (id, step) => {
+    if (!neighbors.has(id)) neighbors.set(id, []);
+    neighbors.get(id).push(step);
+  };
+
+  movements.forEach(movement => {
+    Object.entries(movement.connections || {}).forEach(([type, connections]) => {
+      if (!types.has(type) || !connections) return;
+      connections.forEach(conn => {
+        link(movement.id, { from: movement.id, to: conn.to, type, desc: conn.desc, reversed: false });
+        link(conn.to, { from: conn.to, to: movement.id, type, desc: conn.desc, reversed: true });
+      });
+    });
+  });
+
+  // Breadth-first search, remembering the step that reached each movement
+  const reachedBy = new Map([[fromId, null]]);
+  const queue = [fromId];
+
+  while (queue.length > 0 && !reachedBy.has(toId)) {
+    const current = queue.shift();
+    (neighbors.get(current) || []).forEach(step => {
+      if (reachedBy.has(step.to)) return;
+      reachedBy.set(step.to, step);
+      queue.push(step.to);
+    });
+  }
+
+  if (!reachedBy.has(toId) || fromId === toId) return null;
+
+  const path = [];
+  for (let step = reachedBy.get(toId); step; step = reachedBy.get(step.from)) {
+    path.unshift(step);
+  }
+  return path;
+}
+
+/**
+ * Sets up the connection-type toggles and the lineage mode button
+ */
+export function setupLineage() {
+  const container = document.getElementById('connection-filters');
+  const lineageToggle = document.getElementById('lineage-toggle');
+
+  if (!container || !lineageToggle) return;
+
+  renderTypeToggles(container);
+
+  lineageToggle.addEventListener('click', () => {
+    lineageMode = !lineageMode;
+    lineageToggle.classList.toggle('active', lineageMode);
+    lineageToggle.setAttribute('aria-pressed', String(lineageMode));
+    applyLineage();
+  });
+
+  // Re-apply after every redraw and selection change
+  document.addEventListener('timeline:connections', applyLineage);
+  document.addEventListener('timeline:select', applyLineage);
+
+  // Relabel the toggles in the new language
+  document.addEventListener('timeline:locale', () => renderTypeToggles(container));
+}
+
+/**
+ * Renders one toggle button per connection type
+ * @param {HTMLElement} container - Toggles container
+ */
+function renderTypeToggles(container) {
+  const visible = getVisibleConnectionTypes();
+  container.innerHTML = '';
+
+  Object.entries(getConnectionTypes()).forEach(([type, { icon, color, name }]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `filter-btn connection-filter ${visible.has(type) ? 'active' : ''}`;
+    button.dataset.type = type;
+    button.style.setProperty('--connection-color', color);
+    button.setAttribute('aria-pressed', String(visible.has(type)));
+    button.textContent = `${icon} ${name}`;
+
+    button.addEventListener('click', () => {
+      const types = getVisibleConnectionTypes();
+      if (types.has(type)) {
+        types.delete(type);
+      } else {
+        types.add(type);
+      }
+      button.classList.toggle('active', types.has(type));
+      button.setAttribute('aria-pressed', String(types.has(type)));
+      setVisibleConnectionTypes(types);
+    });
+
+    container.appendChild(button);
+  });
+}
+
+/**
+ * Highlights the lineage of the selected movement, dimming everything else
+ * Clears the highlighting when lineage mode is off or nothing is selected
+ */
+function applyLineage() {
+  const timeline = document.getElementById('timeline');
+  const bars = document.querySelectorAll('.movement-bar');
+  const lines = document.querySelectorAll('.connection-line, .connection-arrowhead, .connection-label');
+  const selection = getCurrentSelection();
+
+  const isTracing = lineageMode && Boolean(selection);
+  timeline.classList.toggle('tracing', isTracing);
+
+  if (!isTracing) {
+    bars.forEach(bar => {
+      bar.classList.remove('lineage-member', 'lineage-root', 'lineage-ancestor', 'lineage-descendant');
+    });
+    lines.forEach(line => line.classList.remove('lineage'));
+    return;
+  }
+
+  const { ancestors, descendants, edges } = traceLineage(selection, getMovements(), getVisibleConnectionTypes());
+
+  bars.forEach(bar => {
+    const id = bar.dataset.id;
+    bar.classList.toggle('lineage-root', id === selection);
+    bar.classList.toggle('lineage-ancestor', ancestors.has(id));
+    bar.classList.toggle('lineage-descendant', descendants.has(id));
+    bar.classList.toggle('lineage-member', id === selection || ancestors.has(id) || descendants.has(id));
+  });
+
+  lines.forEach(line => {
+    const key = `${line.getAttribute('data-from')}|${line.getAttribute('data-to')}|${line.getAttribute('data-type')}`;
+    line.classList.toggle('lineage', edges.has(key));
+  });
+}
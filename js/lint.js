@@ -0,0 +1,225 @@
+/**
+ * Data Lint Module
+ * Consistency checks beyond validation (suspicious but not invalid data) and a data summary
+ */
+
+import { parsePeriod, parseWork, normalizeText } from './utils.js';
+import { localize, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * Runs every lint on the configuration data
+ * Assumes the data passed validateMovementData()
+ * @param {Object} data - Parsed movements.json
+ * @returns {Array} Warnings as { path, message } with JSON-pointer paths
+ */
+export function lintMovementData(data) {
+  const movements = data.movements || [];
+
+  return [
+    ...lintPeriods(movements),
+    ...lintPinnedLanes(movements),
+    ...lintOneWayConnections(movements),
+    ...lintDuplicateWorks(movements),
+    ...lintAuthorGenders(data.authors || {}, movements)
+  ];
+}
+
+/**
+ * Flags movements whose `year` falls outside their `period`
+ * @param {Array} movements - Array of movement objects
+ * @returns {Array} Warnings
+ */
+function lintPeriods(movements) {
+  const warnings = [];
+
+  movements.forEach((movement, idx) => {
+    const { start, end } = parsePeriod(movement.period);
+
+    if (end < start) {
+      warnings.push({ path: `/movements/${idx}/period`, message: `period '${movement.period}' ends before it starts` });
+    } else if (movement.year < start || movement.year > end) {
+      warnings.push({ path: `/movements/${idx}/year`, message: `year ${movement.year} is outside period '${movement.period}'` });
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * Flags movements pinned to the same lane over overlapping periods: their bars would overlap
+ * @param {Array} movements - Array of movement objects
+ * @returns {Array} Warnings
+ */
+function lintPinnedLanes(movements) {
+  const warnings = [];
+
+  movements.forEach((movement, idx) => {
+    if (movement.lane === undefined) return;
+    const { start, end } = parsePeriod(movement.period);
+
+    const other = movements.slice(0, idx).find(earlier => {
+      if (earlier.lane !== movement.lane) return false;
+      const period = parsePeriod(earlier.period);
+      return period.start < end && start < period.end;
+    });
+    if (other) {
+      warnings.push({ path: `/movements/${idx}/lane`, message: `lane ${movement.lane} overlaps movement '${other.id}', pinned to the same lane` });
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * Flags connections the target movement does not link back
+ * Any connection type counts as a link back
+ * @param {Array} movements - Array of movement objects
+ * @returns {Array} Warnings
+ */
+function lintOneWayConnections(movements) {
+  const warnings = [];
+  const linked = new Set();
+
+  movements.forEach(movement => {
+    Object.values(movement.connections || {}).forEach(connections => {
+      connections.forEach(conn => linked.add(`${movement.id}|${conn.to}`));
+    });
+  });
+
+  movements.forEach((movement, idx) => {
+    Object.entries(movement.connections || {}).forEach(([type, connections]) => {
+      connections.forEach((conn, connIdx) => {
+        if (!linked.has(`${conn.to}|${movement.id}`)) {
+          warnings.push({
+            path: `/movements/${idx}/connections/${type}/${connIdx}`,
+            message: `'${conn.to}' has no connection back to '${movement.id}'`
+          });
+        }
+      });
+    });
+  });
+
+  return warnings;
+}
+
+/**
+ * Flags works listed more than once, within a movement or across movements
+ * Works are compared by normalized title and year
+ * @param {Array} movements - Array of movement objects
+ * @returns {Array} Warnings
+ */
+function lintDuplicateWorks(movements) {
+  const warnings = [];
+  const firstSeen = new Map();
+
+  movements.forEach((movement, idx) => {
+    (movement.works || []).forEach((work, workIdx) => {
+      const parsed = parseWork(work);
+      const title = localize(parsed.title, DEFAULT_LOCALE);
+      const key = `${normalizeText(title)}|${parsed.year}`;
+
+      if (firstSeen.has(key)) {
+        const first = firstSeen.get(key);
+        warnings.push({
+          path: `/movements/${idx}/works/${workIdx}`,
+          message: first.movementId === movement.id
+            ? `'${title}' is listed twice in '${movement.id}'`
+            : `'${title}' is also listed in '${first.movementId}'`
+        });
+      } else {
+        firstSeen.set(key, { movementId: movement.id });
+      }
+    });
+  });
+
+  return warnings;
+}
+
+/**
+ * Flags authors whose names only differ by case or accents but whose genders differ
+ * (registry entries and inline authors); exact duplicates are validation errors
+ * @param {Object} authors - Author registry keyed by id
+ * @param {Array} movements - Array of movement objects
+ * @returns {Array} Warnings
+ */
+function lintAuthorGenders(authors, movements) {
+  const warnings = [];
+  const byName = new Map();
+
+  const check = (name, gender, path) => {
+    const key = normalizeText(name);
+    const normalizedGender = gender || 'U';
+
+    if (byName.has(key)) {
+      const first = byName.get(key);
+      if (first.gender !== normalizedGender) {
+        warnings.push({ path, message: `'${name}' has gender '${normalizedGender}' but '${first.name}' (${first.path}) has '${first.gender}'` });
+      }
+    } else {
+      byName.set(key, { name, gender: normalizedGender, path });
+    }
+  };
+
+  Object.entries(authors).forEach(([id, author]) => {
+    check(author.name, author.gender, `/authors/${id}/gender`);
+  });
+
+  movements.forEach((movement, idx) => {
+    (movement.authors || []).forEach((author, authorIdx) => {
+      if (!author.id) check(author.name, author.gender, `/movements/${idx}/authors/${authorIdx}`);
+    });
+  });
+
+  return warnings;
+}
+
+/**
+ * Summarizes the data: totals, activity per decade and orphan movements
+ * @param {Object} data - Parsed movements.json
+ * @returns {Object} { totals, decades: [{ decade, movements, works }], orphans: [id] }
+ */
+export function summarizeMovementData(data) {
+  const movements = data.movements || [];
+  const decades = new Map();
+  const bump = (decade, field) => {
+    if (!decades.has(decade)) decades.set(decade, { decade, movements: 0, works: 0 });
+    decades.get(decade)[field]++;
+  };
+
+  // Movements count in every decade they span; works in their publication decade
+  const currentYear = new Date().getFullYear();
+  movements.forEach(movement => {
+    const { start, end } = parsePeriod(movement.period);
+    for (let decade = Math.floor(start / 10) * 10; decade <= Math.min(end, currentYear); decade += 10) {
+      bump(decade, 'movements');
+    }
+    (movement.works || []).forEach(work => {
+      const { year } = parseWork(work);
+      if (year !== null) bump(Math.floor(year / 10) * 10, 'works');
+    });
+  });
+
+  // Orphans neither declare nor receive any connection
+  const connected = new Set();
+  let connectionCount = 0;
+  movements.forEach(movement => {
+    Object.values(movement.connections || {}).forEach(connections => {
+      connections.forEach(conn => {
+        connected.add(movement.id);
+        connected.add(conn.to);
+        connectionCount++;
+      });
+    });
+  });
+
+  return {
+    totals: {
+      movements: movements.length,
+      authors: Object.keys(data.authors || {}).length,
+      works: movements.reduce((sum, movement) => sum + (movement.works || []).length, 0),
+      connections: connectionCount
+    },
+    decades: Array.from(decades.values()).sort((a, b) => a.decade - b.decade),
+    orphans: movements.filter(movement => !connected.has(movement.id)).map(movement => movement.id)
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * English Message Catalog
+ * Missing keys fall back to the French catalog
+ */
+
+export default {
+  app: {
+    title: 'Science Fiction Movements Timeline',
+    subtitle: 'Click on a movement to discover its authors and works',
+    loading: '⏳ Loading...',
+    error: '❌ Error',
+    seeConsole: 'See the console for details.'
+  },
+  locale: {
+    label: 'Language'
+  },
+  datasets: {
+    label: 'Timeline'
+  },
+  views: {
+    label: 'View',
+    timeline: '🕰️ Timeline',
+    graph: '🕸️ Network',
+    statistics: '📊 Statistics'
+  },
+  connections: {
+    filtersLabel: 'Connection types',
+    lineage: '🧬 Trace lineage',
+    lineageHint: 'Highlights every ancestor and descendant of the selected movement'
+  },
+  connectionTypes: {
+    influence: { label: 'Direct influence on', name: 'Influence' },
+    reaction: { label: 'Reaction against', name: 'Reaction' },
+    evolution: { label: 'Evolution of', name: 'Evolution' },
+    related: { label: 'Related to', name: 'Related' }
+  },
+  search: {
+    placeholder: 'Search for a movement, an author, a work…',
+    label: 'Search',
+    noResults: 'No results',
+    facets: {
+      title: 'Title',
+      description: 'Description',
+      context: 'Context',
+      authors: 'Authors',
+      works: 'Works'
+    }
+  },
+  sidebar: {
+    toggle: 'Details',
+    toggleLabel: 'Show or hide details',
+    regionLabel: 'Details',
+    placeholder: 'Click on a movement to see its details',
+    context: 'Context & Stakes',
+    contextFields: {
+      historical: 'Historical context',
+      themes: 'Recurring themes',
+      questionnements: 'Social questions',
+      scientific: 'Scientific concepts',
+      literary: 'Literary innovations'
+    },
+    authors: 'Major authors',
+    works: 'Notable works',
+    connections: 'Connections with other movements',
+    authorMovements: 'Movements',
+    authorWorks: 'Works'
+  },
+  zoom: {
+    in: 'Zoom in',
+    out: 'Zoom out'
+  },
+  minimap: {
+    label: 'Visible part of the timeline',
+    value: 'From {start} to {end}'
+  },
+  statistics: {
+    title: '📊 Author representation',
+    close: 'Close',
+    byMovement: 'By movement (share of authors)',
+    byDecade: 'By decade (works, by author gender)',
+    decade: '{decade}s'
+  },
+  compare: {
+    title: '⚖️ Comparison',
+    close: 'Close',
+    trayLabel: 'Pinned movements',
+    pin: '📌 Pin to compare',
+    unpin: 'Remove from comparison',
+    full: 'At most {max} movements at a time',
+    open: '⚖️ Compare ({count})',
+    clear: 'Remove all',
+    hint: 'Pin at least two movements to compare them',
+    periods: 'Periods',
+    overlap: 'Common period: {start}–{end} ({years} years)',
+    noOverlap: 'No common period',
+    sharedAuthors: 'Shared authors',
+    noSharedAuthors: 'No shared authors',
+    sharedWorks: 'Shared works',
+    noSharedWorks: 'No shared works',
+    paths: 'Connection paths',
+    direct: 'Direct connection',
+    indirect: 'Indirect connection ({steps} steps)',
+    noPath: 'no connection path'
+  },
+  tour: {
+    toggle: '🎬 Guided tour',
+    label: 'Guided tour',
+    choose: 'Choose a tour',
+    progress: 'Step {step} / {total}',
+    previous: '⏮ Previous',
+    next: 'Next ⏭',
+    play: '▶ Play',
+    pause: '⏸ Pause',
+    close: 'Leave the tour',
+    keys: '← → : steps · Space: play · Esc: leave'
+  },
+  graph: {
+    label: 'Graph of connections between movements'
+  },
+  a11y: {
+    timeline: 'Timeline of movements',
+    help: 'Left and right arrows: previous or next movement in time. Up and down arrows: neighboring lane. Home and End: first or last movement. Enter: show details. Escape: close details.',
+    bar: '{title}, {period}',
+    outgoing: '{label}: {targets}.',
+    incoming: '{sources}: {label} this movement.',
+    noConnections: 'No connections.',
+    movementShown: 'Details of {title} ({period}) shown',
+    authorShown: 'Profile of {name} shown, {count} movement(s)',
+    selectionCleared: 'Selection cleared',
+    sidebarShown: 'Details panel shown',
+    sidebarHidden: 'Details panel hidden'
+  },
+  genders: {
+    F: 'Woman',
+    M: 'Man',
+    NB: 'Non-binary',
+    U: 'Unknown'
+  },
+  authors: {
+    born: 'born {year}',
+    died: 'died {year}'
+  },
+  workTypes: {
+    'novel': 'Novel',
+    'novella': 'Novella',
+    'short-story': 'Short story',
+    'collection': 'Collection',
+    'series': 'Series',
+    'film': 'Film',
+    'tv-series': 'TV series',
+    'comic': 'Comic',
+    'game': 'Game'
+  },
+  export: {
+    toggle: '⬇️ Export',
+    view: '🖼️ View',
+    data: '📦 Data',
+    dataHint: 'Spreadsheets (CSV), Gephi (GraphML), Zotero (BibTeX) and the semantic web (JSON-LD).',
+    svg: '🖼️ SVG (vector)',
+    png: '🏞️ PNG (image)',
+    poster: '🖨️ Printable poster (PDF)',
+    paper: 'Paper',
+    light: 'Light background',
+    hint: 'The export follows the current zoom: zoom in to spread the poster over more pages.',
+    page: 'Page {page} / {pages}',
+    legend: {
+      work: 'Work',
+      workOutside: 'Work outside the period'
+    }
+  },
+  editor: {
+    toggle: '✏️ Edit',
+    title: '✏️ Movement editor',
+    movement: 'Movement',
+    newMovement: 'New movement',
+    addMovement: '➕ New movement',
+    deleteMovement: '🗑️ Delete',
+    download: '⬇️ Download JSON',
+    discard: '↺ Discard draft',
+    close: 'Close the editor',
+    remove: 'Remove',
+    addAuthor: '➕ Author',
+    addWork: '➕ Work',
+    addConnection: '➕ Connection',
+    confirmDelete: 'Delete “{title}” and the connections leading to it?',
+    confirmDiscard: 'Discard the draft and start over from the published data?',
+    sections: {
+      movement: 'Movement'
+    },
+    fields: {
+      id: 'Identifier',
+      title: 'Title',
+      period: 'Period',
+      year: 'Year',
+      lane: 'Lane',
+      endYear: 'End',
+      description: 'Description',
+      name: 'Name',
+      gender: 'Gender',
+      favorite: 'Favorite',
+      workTitle: 'Title',
+      originalTitle: 'Original title',
+      workAuthor: 'Author',
+      type: 'Type',
+      target: 'Related movement',
+      connectionDesc: 'Description'
+    },
+    hints: {
+      id: 'Lowercase and dashes. Connections follow the change when you leave the field.',
+      lane: '0 for the top one; empty to let the layout place the movement.',
+      authors: 'An unknown name adds the author to the registry; their gender applies to all their movements.'
+    },
+    status: {
+      valid: '✓ Valid data, preview up to date',
+      errors: '❌ {count} error(s): preview paused',
+      saved: 'Draft saved ({time})',
+      restored: 'Draft restored ({time})',
+      outdated: 'Draft from {time}, based on an earlier version of the data'
+    }
+  },
+  staticPage: {
+    contents: 'All movements',
+    backToTop: '↑ Back to the timeline'
+  }
+};
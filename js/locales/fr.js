@@ -0,0 +1,225 @@
+/**
+ * French Message Catalog
+ * Reference catalog: every message key must exist here
+ */
+
+export default {
+  app: {
+    title: 'Fresque des Courants de la Science-Fiction',
+    subtitle: 'Cliquez sur chaque courant pour découvrir ses auteurs et œuvres',
+    loading: '⏳ Chargement...',
+    error: '❌ Erreur',
+    seeConsole: 'Consultez la console pour plus de détails.'
+  },
+  locale: {
+    label: 'Langue'
+  },
+  datasets: {
+    label: 'Fresque'
+  },
+  views: {
+    label: 'Vue',
+    timeline: '🕰️ Frise',
+    graph: '🕸️ Réseau',
+    statistics: '📊 Statistiques'
+  },
+  connections: {
+    filtersLabel: 'Types de connexions',
+    lineage: '🧬 Tracer la lignée',
+    lineageHint: 'Met en évidence tous les ancêtres et descendants du courant sélectionné'
+  },
+  connectionTypes: {
+    influence: { label: 'Influence directe sur', name: 'Influence' },
+    reaction: { label: 'Réaction contre', name: 'Réaction' },
+    evolution: { label: 'Évolution de', name: 'Évolution' },
+    related: { label: 'En lien avec', name: 'Lien' }
+  },
+  search: {
+    placeholder: 'Rechercher un courant, un·e auteur·ice, une œuvre…',
+    label: 'Rechercher',
+    noResults: 'Aucun résultat',
+    facets: {
+      title: 'Titre',
+      description: 'Description',
+      context: 'Contexte',
+      authors: 'Auteur·ice·s',
+      works: 'Œuvres'
+    }
+  },
+  sidebar: {
+    toggle: 'Détails',
+    toggleLabel: 'Afficher ou masquer les détails',
+    regionLabel: 'Détails',
+    placeholder: 'Cliquez sur un courant pour voir ses détails',
+    context: 'Contexte & Enjeux',
+    contextFields: {
+      historical: 'Contexte historique',
+      themes: 'Thèmes récurrents',
+      questionnements: 'Questionnements de société',
+      scientific: 'Concepts scientifiques',
+      literary: 'Innovations littéraires'
+    },
+    authors: 'Auteur·ice·s majeur·e·s',
+    works: 'Œuvres marquantes',
+    connections: 'Connexions avec d\'autres courants',
+    authorMovements: 'Courants',
+    authorWorks: 'Œuvres'
+  },
+  zoom: {
+    in: 'Zoom avant',
+    out: 'Zoom arrière'
+  },
+  minimap: {
+    label: 'Partie visible de la frise',
+    value: 'De {start} à {end}'
+  },
+  statistics: {
+    title: '📊 Représentation des auteur·ice·s',
+    close: 'Fermer',
+    byMovement: 'Par courant (part des auteur·ice·s)',
+    byDecade: 'Par décennie (œuvres, selon le genre de l\'auteur·ice)',
+    decade: 'années {decade}'
+  },
+  compare: {
+    title: '⚖️ Comparaison',
+    close: 'Fermer',
+    trayLabel: 'Courants épinglés',
+    pin: '📌 Épingler pour comparer',
+    unpin: 'Retirer de la comparaison',
+    full: 'Au plus {max} courants à la fois',
+    open: '⚖️ Comparer ({count})',
+    clear: 'Tout retirer',
+    hint: 'Épinglez au moins deux courants pour les comparer',
+    periods: 'Périodes',
+    overlap: 'Période commune : {start}–{end} ({years} ans)',
+    noOverlap: 'Aucune période commune',
+    sharedAuthors: 'Auteur·ice·s en commun',
+    noSharedAuthors: 'Aucun·e auteur·ice en commun',
+    sharedWorks: 'Œuvres en commun',
+    noSharedWorks: 'Aucune œuvre en commun',
+    paths: 'Chemins de connexion',
+    direct: 'Connexion directe',
+    indirect: 'Connexion indirecte ({steps} étapes)',
+    noPath: 'aucun chemin de connexion'
+  },
+  tour: {
+    toggle: '🎬 Visite guidée',
+    label: 'Visite guidée',
+    choose: 'Choisir une visite',
+    progress: 'Étape {step} / {total}',
+    previous: '⏮ Précédent',
+    next: 'Suivant ⏭',
+    play: '▶ Lecture',
+    pause: '⏸ Pause',
+    close: 'Quitter la visite',
+    keys: '← → : étapes · Espace : lecture · Échap : quitter'
+  },
+  graph: {
+    label: 'Graphe des connexions entre courants'
+  },
+  a11y: {
+    timeline: 'Frise des courants',
+    help: 'Flèches gauche et droite : courant précédent ou suivant dans le temps. Flèches haut et bas : couloir voisin. Début et Fin : premier ou dernier courant. Entrée : afficher les détails. Échap : fermer les détails.',
+    bar: '{title}, {period}',
+    outgoing: '{label} : {targets}.',
+    incoming: '{sources} : {label} ce courant.',
+    noConnections: 'Aucune connexion.',
+    movementShown: 'Détails de {title} ({period}) affichés',
+    authorShown: 'Fiche de {name} affichée, {count} courant(s)',
+    selectionCleared: 'Sélection effacée',
+    sidebarShown: 'Panneau de détails affiché',
+    sidebarHidden: 'Panneau de détails masqué'
+  },
+  genders: {
+    F: 'Femme',
+    M: 'Homme',
+    NB: 'Non-binaire',
+    U: 'Inconnu'
+  },
+  authors: {
+    born: 'né·e en {year}',
+    died: 'mort·e en {year}'
+  },
+  workTypes: {
+    'novel': 'Roman',
+    'novella': 'Novella',
+    'short-story': 'Nouvelle',
+    'collection': 'Recueil',
+    'series': 'Cycle',
+    'film': 'Film',
+    'tv-series': 'Série TV',
+    'comic': 'BD',
+    'game': 'Jeu'
+  },
+  export: {
+    toggle: '⬇️ Exporter',
+    view: '🖼️ Vue',
+    data: '📦 Données',
+    dataHint: 'Tableurs (CSV), Gephi (GraphML), Zotero (BibTeX) et web sémantique (JSON-LD).',
+    svg: '🖼️ SVG (vectoriel)',
+    png: '🏞️ PNG (image)',
+    poster: '🖨️ Affiche à imprimer (PDF)',
+    paper: 'Format',
+    light: 'Fond clair',
+    hint: "L'export suit le zoom actuel : zoomez pour répartir l'affiche sur plus de pages.",
+    page: 'Page {page} / {pages}',
+    legend: {
+      work: 'Œuvre',
+      workOutside: 'Œuvre hors de la période'
+    }
+  },
+  editor: {
+    toggle: '✏️ Éditer',
+    title: '✏️ Éditeur de courants',
+    movement: 'Courant',
+    newMovement: 'Nouveau courant',
+    addMovement: '➕ Nouveau courant',
+    deleteMovement: '🗑️ Supprimer',
+    download: '⬇️ Télécharger le JSON',
+    discard: '↺ Abandonner le brouillon',
+    close: 'Fermer l\'éditeur',
+    remove: 'Retirer',
+    addAuthor: '➕ Auteur·ice',
+    addWork: '➕ Œuvre',
+    addConnection: '➕ Connexion',
+    confirmDelete: 'Supprimer « {title} » et les connexions qui y mènent ?',
+    confirmDiscard: 'Abandonner le brouillon et repartir des données publiées ?',
+    sections: {
+      movement: 'Courant'
+    },
+    fields: {
+      id: 'Identifiant',
+      title: 'Titre',
+      period: 'Période',
+      year: 'Année',
+      lane: 'Rangée',
+      endYear: 'Fin',
+      description: 'Description',
+      name: 'Nom',
+      gender: 'Genre',
+      favorite: 'Coup de cœur',
+      workTitle: 'Titre',
+      originalTitle: 'Titre original',
+      workAuthor: 'Auteur·ice',
+      type: 'Type',
+      target: 'Courant lié',
+      connectionDesc: 'Description'
+    },
+    hints: {
+      id: 'Minuscules et tirets. Les connexions suivent le changement en quittant le champ.',
+      lane: '0 pour la première ; vide pour laisser la mise en page placer le courant.',
+      authors: 'Un nom inconnu ajoute l\'auteur·ice au registre ; son genre vaut pour tous ses courants.'
+    },
+    status: {
+      valid: '✓ Données valides, aperçu à jour',
+      errors: '❌ {count} erreur(s) : aperçu en pause',
+      saved: 'Brouillon enregistré ({time})',
+      restored: 'Brouillon restauré ({time})',
+      outdated: 'Brouillon du {time}, basé sur une version antérieure des données'
+    }
+  },
+  staticPage: {
+    contents: 'Tous les courants',
+    backToTop: '↑ Retour à la frise'
+  }
+};
@@ -0,0 +1,206 @@
+/**
+ * Minimap Module
+ * Strip showing every movement at full-range scale, with a rectangle marking the part of the
+ * timeline in view; clicking or dragging scrolls the timeline
+ */
+
+import { getMovements, getMetadata } from './config.js';
+import { getYearRange, parsePeriod, yearToPosition, escapeXML } from './utils.js';
+import { getCurrentSelection } from './timeline.js';
+import { t } from './i18n.js';
+
+// Share of the visible span the arrow keys scroll
+const KEY_SCROLL_SHARE = 0.25;
+
+let yearRange = { minYear: 0, maxYear: 1 };
+let drag = null;
+let updateFrame = null;
+
+/**
+ * Sets up the minimap: bars, viewport dragging and syncing with the timeline scroll
+ * Zooming and resizing update it from interactions.js
+ */
+export function setupMinimap() {
+  const minimap = document.getElementById('minimap');
+  const timeline = document.getElementById('timeline');
+  if (!minimap || !timeline) return;
+
+  renderMinimap();
+  minimap.classList.remove('hidden');
+
+  minimap.addEventListener('pointerdown', handlePointerDown);
+  minimap.addEventListener('pointermove', handlePointerMove);
+  minimap.addEventListener('pointerup', endDrag);
+  minimap.addEventListener('pointercancel', endDrag);
+  minimap.addEventListener('keydown', handleKeydown);
+
+  // Scroll events do not bubble: catch the visualization's on the way down
+  timeline.addEventListener('scroll', () => {
+    if (updateFrame) return;
+    updateFrame = requestAnimationFrame(() => {
+      updateFrame = null;
+      updateMinimap();
+    });
+  }, true);
+
+  document.addEventListener('timeline:select', ({ detail }) => {
+    minimap.querySelectorAll('.minimap-movement').forEach(bar => {
+      bar.classList.toggle('selected', bar.getAttribute('data-id') === detail.movementId);
+    });
+  });
+  document.addEventListener('timeline:view', ({ detail }) => {
+    minimap.classList.toggle('hidden', detail.view !== 'timeline');
+  });
+  document.addEventListener('timeline:locale', renderMinimap);
+  document.addEventListener('timeline:data', renderMinimap);
+}
+
+/**
+ * Renders one bar per movement, in its timeline lane, and the viewport rectangle
+ */
+export function renderMinimap() {
+  const minimap = document.getElementById('minimap');
+  if (!minimap) return;
+
+  const movements = getMovements();
+  yearRange = getYearRange(movements, getMetadata().axis);
+  const { minYear, maxYear } = yearRange;
+  const laneCount = Math.max(1, ...movements.map(movement => (movement.lane || 0) + 1));
+  const selected = getCurrentSelection();
+
+  const bars = movements.map(movement => {
+    const { start, end } = parsePeriod(movement.period);
+    const left = yearToPosition(start, minYear, maxYear);
+    const width = yearToPosition(end, minYear, maxYear) - left;
+
+    return `
+      <div class="minimap-movement ${movement.id === selected ? 'selected' : ''}" data-id="${escapeXML(movement.id)}"
+           title="${escapeXML(`${movement.title} (${movement.period})`)}"
+           style="left: ${left}%; width: ${width}%; top: ${(movement.lane || 0) / laneCount * 100}%; height: ${100 / laneCount}%"></div>
+    `;
+  }).join('');
+
+  minimap.innerHTML = `
+    ${bars}
+    <div class="minimap-viewport" id="minimap-viewport" role="slider" tabindex="0"
+         aria-label="${t('minimap.label')}" aria-valuemin="${minYear}" aria-valuemax="${maxYear}"></div>
+  `;
+  updateMinimap();
+}
+
+/**
+ * Moves the viewport rectangle over the part of the timeline in view
+ */
+export function updateMinimap() {
+  const viewport = document.getElementById('minimap-viewport');
+  const visible = getVisibleShare();
+  if (!viewport || !visible) return;
+
+  viewport.style.left = `${visible.left * 100}%`;
+  viewport.style.width = `${visible.width * 100}%`;
+
+  const span = yearRange.maxYear - yearRange.minYear;
+  const start = Math.round(yearRange.minYear + visible.left * span);
+  const end = Math.round(yearRange.minYear + (visible.left + visible.width) * span);
+  viewport.setAttribute('aria-valuenow', String(Math.round((start + end) / 2)));
+  viewport.setAttribute('aria-valuetext', t('minimap.value', { start, end }));
+}
+
+/**
+ * Measures the part of the timeline in view
+ * @returns {Object|null} { left, width } as shares of the full range, null when the timeline is hidden
+ */
+function getVisibleShare() {
+  const visualization = document.querySelector('.timeline-visualization');
+  const bars = document.getElementById('movements-bars');
+  if (!visualization || !bars || bars.offsetWidth === 0) return null;
+
+  const left = Math.max(0, (visualization.scrollLeft - bars.offsetLeft) / bars.offsetWidth);
+  const width = Math.min(1 - left, visualization.clientWidth / bars.offsetWidth);
+  return { left, width };
+}
+
+/**
+ * Scrolls the timeline so that its visible part starts at a share of the full range
+ * @param {number} share - Left edge of the view (0 = first year)
+ */
+function scrollToShare(share) {
+  const visualization = document.querySelector('.timeline-visualization');
+  const bars = document.getElementById('movements-bars');
+  if (!visualization || !bars) return;
+
+  visualization.scrollLeft = share * bars.offsetWidth + bars.offsetLeft;
+  updateMinimap();
+}
+
+/**
+ * Starts dragging the viewport rectangle; pressing outside it first centers it under the pointer
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerDown(event) {
+  if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+  const minimap = event.currentTarget;
+  const viewport = document.getElementById('minimap-viewport');
+  const rect = minimap.getBoundingClientRect();
+  if (!viewport || rect.width === 0) return;
+
+  const viewportRect = viewport.getBoundingClientRect();
+  const grab = viewport.contains(event.target)
+    ? event.clientX - viewportRect.left
+    : viewportRect.width / 2;
+
+  drag = { rect, grab };
+  minimap.setPointerCapture(event.pointerId);
+  minimap.classList.add('dragging');
+  dragTo(event.clientX);
+}
+
+/**
+ * Follows the pointer while dragging
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerMove(event) {
+  if (drag) dragTo(event.clientX);
+}
+
+/**
+ * Scrolls the timeline so that the grabbed point of the rectangle sits under the pointer
+ * @param {number} clientX - Pointer position in the viewport
+ */
+function dragTo(clientX) {
+  scrollToShare((clientX - drag.grab - drag.rect.left) / drag.rect.width);
+}
+
+/**
+ * Stops dragging
+ * @param {PointerEvent} event - Pointer event
+ */
+function endDrag(event) {
+  drag = null;
+  event.currentTarget.classList.remove('dragging');
+}
+
+/**
+ * Keyboard control of the viewport rectangle: arrows move it by a quarter of the view,
+ * Page Up/Down by a whole view, Home/End to the ends
+ * @param {KeyboardEvent} event - Key event
+ */
+function handleKeydown(event) {
+  const visible = getVisibleShare();
+  if (!visible || !event.target.matches('.minimap-viewport')) return;
+
+  const shares = {
+    ArrowLeft: visible.left - visible.width * KEY_SCROLL_SHARE,
+    ArrowRight: visible.left + visible.width * KEY_SCROLL_SHARE,
+    PageUp: visible.left - visible.width,
+    PageDown: visible.left + visible.width,
+    Home: 0,
+    End: 1
+  };
+
+  if (event.key in shares) {
+    event.preventDefault();
+    scrollToShare(shares[event.key]);
+  }
+}
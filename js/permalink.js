@@ -0,0 +1,193 @@
+/**
+ * Permalink Module
+ * Syncs selection, pinned movements, zoom, scroll position, sidebar state and view with the URL hash
+ */
+
+import { findMovementById } from './config.js';
+import { showMovementDetails, clearSelection, getCurrentSelection } from './timeline.js';
+import {
+  scrollToMovementBar,
+  setSidebarVisible,
+  isSidebarVisible,
+  getZoomPercent,
+  setZoomPercent
+} from './interactions.js';
+import { getCurrentView, setView } from './graph.js';
+import { getPinned, setPinned } from './compare.js';
+
+const DEFAULT_ZOOM_PERCENT = 100;
+const SETTLE_DEBOUNCE_MS = 200;
+
+// Set while applying a URL state, so the resulting events don't write it back
+let isRestoring = false;
+
+/**
+ * Restores the state from the URL hash, then keeps the hash in sync
+ * Selecting a movement adds a history entry; pins, zoom, scroll and sidebar changes replace it
+ */
+export function setupPermalink() {
+  restoreState(parseHash(window.location.hash));
+
+  document.addEventListener('timeline:select', () => writeState(true));
+  document.addEventListener('timeline:sidebar', () => writeState(false));
+  document.addEventListener('timeline:view', () => writeState(false));
+  document.addEventListener('timeline:pins', () => writeState(false));
+
+  // Scrolling and gesture zooms fire continuously: write once they settle
+  let settleTimeout;
+  const writeWhenSettled = () => {
+    clearTimeout(settleTimeout);
+    settleTimeout = setTimeout(() => writeState(false), SETTLE_DEBOUNCE_MS);
+  };
+  document.addEventListener('timeline:zoom', writeWhenSettled);
+
+  // Scroll events don't bubble: listen in capture phase on the stable container
+  const timeline = document.getElementById('timeline');
+  timeline.addEventListener('scroll', (event) => {
+    if (!event.target.classList || !event.target.classList.contains('timeline-visualization')) return;
+    writeWhenSettled();
+  }, true);
+
+  // Back/forward walks through the selection history
+  window.addEventListener('popstate', () => {
+    restoreState(parseHash(window.location.hash));
+  });
+}
+
+/**
+ * Parses a URL hash into a state object
+ * @param {string} hash - URL hash (e.g., "#movement=cyberpunk&zoom=150&compare=cyberpunk+solarpunk", or "#movement-cyberpunk")
+ * @returns {Object} State with movement, zoom, scroll, sidebar and view (null when absent), and pinned ids
+ */
+export function parseHash(hash) {
+  // Anchors of the static build (#movement-<id>) select that movement
+  const anchor = hash.match(/^#movement-([\w-]+)$/);
+  if (anchor) {
+    return { movement: anchor[1], zoom: null, scroll: null, sidebar: null, view: null, pinned: [] };
+  }
+
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+  const zoom = parseFloat(params.get('zoom'));
+  const scroll = parseFloat(params.get('scroll'));
+  const sidebar = params.get('sidebar');
+
+  return {
+    movement: params.get('movement') || null,
+    zoom: Number.isFinite(zoom) ? zoom : null,
+    scroll: Number.isFinite(scroll) ? Math.max(0, Math.min(1, scroll)) : null,
+    sidebar: sidebar === null ? null : sidebar === '1',
+    view: params.get('view') || null,
+    pinned: (params.get('compare') || '').split(' ').filter(Boolean)
+  };
+}
+
+/**
+ * Builds a URL hash from the current state, omitting default values
+ * @returns {string} URL hash (empty string for the default state)
+ */
+export function buildHash() {
+  const params = new URLSearchParams();
+  const movement = getCurrentSelection();
+  const zoom = getZoomPercent();
+  const scroll = getScrollFraction();
+  const sidebar = isSidebarVisible();
+
+  if (movement) params.set('movement', movement);
+  if (zoom !== DEFAULT_ZOOM_PERCENT) params.set('zoom', String(zoom));
+  if (scroll > 0) params.set('scroll', scroll.toFixed(3));
+  if (getCurrentView() !== 'timeline') params.set('view', getCurrentView());
+  if (getPinned().length > 0) params.set('compare', getPinned().join(' '));
+
+  // The sidebar opens with a selection: only record when it differs
+  if (sidebar !== Boolean(movement)) params.set('sidebar', sidebar ? '1' : '0');
+
+  const query = params.toString();
+  return query ? `#${query}` : '';
+}
+
+/**
+ * Captures the current state, including a zero scroll position
+ * @returns {Object} State in the format of parseHash()
+ */
+export function captureState() {
+  return { ...parseHash(buildHash()), scroll: getScrollFraction() };
+}
+
+/**
+ * Applies a state object to the timeline
+ * Also used to bring a freshly re-rendered timeline back to where it was
+ * @param {Object} state - State from parseHash() or captureState()
+ */
+export function restoreState(state) {
+  isRestoring = true;
+
+  try {
+    setView(state.view || 'timeline');
+    setPinned(state.pinned || []);
+    setZoomPercent(state.zoom !== null ? state.zoom : DEFAULT_ZOOM_PERCENT);
+
+    if (state.movement && findMovementById(state.movement)) {
+      if (state.movement !== getCurrentSelection()) {
+        showMovementDetails(state.movement);
+      }
+    } else {
+      if (state.movement) {
+        console.warn(`Movement '${state.movement}' from URL not found`);
+      }
+      clearSelection();
+    }
+
+    const hasSelection = Boolean(getCurrentSelection());
+    setSidebarVisible(state.sidebar !== null ? state.sidebar : hasSelection);
+
+    if (state.scroll !== null) {
+      setScrollFraction(state.scroll);
+    } else if (hasSelection) {
+      scrollToMovementBar(state.movement);
+    }
+  } finally {
+    isRestoring = false;
+  }
+}
+
+/**
+ * Writes the current state to the URL hash
+ * @param {boolean} push - Whether to add a history entry instead of replacing the current one
+ */
+function writeState(push) {
+  if (isRestoring) return;
+
+  const hash = buildHash();
+  if (hash === window.location.hash) return;
+
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+
+  // Only a change of selection is worth a history entry
+  const previous = parseHash(window.location.hash);
+  if (push && previous.movement !== getCurrentSelection()) {
+    history.pushState(null, '', url);
+  } else {
+    history.replaceState(null, '', url);
+  }
+}
+
+/**
+ * Gets the horizontal scroll as a fraction of the full timeline width
+ * @returns {number} Left edge position (0-1)
+ */
+function getScrollFraction() {
+  const visualization = document.querySelector('.timeline-visualization');
+  if (!visualization || visualization.scrollWidth === 0) return 0;
+  return visualization.scrollLeft / visualization.scrollWidth;
+}
+
+/**
+ * Scrolls the timeline so its left edge is at a fraction of the full width
+ * @param {number} fraction - Left edge position (0-1)
+ */
+function setScrollFraction(fraction) {
+  const visualization = document.querySelector('.timeline-visualization');
+  if (!visualization) return;
+  visualization.scrollLeft = fraction * visualization.scrollWidth;
+}
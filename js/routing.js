@@ -0,0 +1,304 @@
+/**
+ * Connection Routing Module
+ * Routes the connection curves around the movement bars: orthogonal paths with rounded corners,
+ * running in the gaps between lanes and between bars
+ * Connections crossing the same gap share its middle, and those joining the same two movements
+ * run side by side
+ */
+
+// Length (px) of the stubs out of the right side and into the left side of the bars
+const STUB_LENGTH = 12;
+
+// Distance (px) of the top/bottom anchors from the start of the span two bars share
+const ANCHOR_INSET = 16;
+
+// Radius (px) of the rounded corners
+const CORNER_RADIUS = 6;
+
+// Space (px) between the strands of connections joining the same two movements
+const STRAND_SPACING = 3;
+
+// Space (px) kept between bars and the vertical segments passing them
+const BAR_MARGIN = 4;
+
+// Cost of the bends a vertical segment through the lanes adds, in px of detour
+const BEND_COST = 20;
+
+/**
+ * Routes connections between bars
+ * A sequence (the target starts after the source ends) goes from the right side of the source
+ * to the left side of the target; overlapping movements connect through the top or bottom sides
+ * that face each other
+ * @param {Array} edges - Connections: { from, to } movement ids
+ * @param {Map} bars - Boxes of all bars by movement id: { left, right, top, bottom }, in px
+ * @param {number} laneGap - Space (px) between two lanes
+ * @returns {Array} Routes, in the order of the edges (null when a bar is missing):
+ *   { path, end: { x, y, angle }, label: { x, y } }
+ */
+export function routeConnections(edges, bars, laneGap) {
+  const boxes = Array.from(bars.values());
+  const routes = edges.map(edge => {
+    const from = bars.get(edge.from);
+    const to = bars.get(edge.to);
+    return from && to && from !== to ? routeEdge(from, to, boxes, laneGap) : null;
+  });
+
+  // Connections joining the same two movements (other types, other direction) become strands
+  const pairs = new Map();
+  edges.forEach((edge, index) => {
+    if (!routes[index]) return;
+    const key = [edge.from, edge.to].sort().join('|');
+    if (!pairs.has(key)) pairs.set(key, []);
+    pairs.get(key).push(index);
+  });
+  pairs.forEach(indexes => {
+    indexes.forEach((index, strand) => {
+      offsetRoute(routes[index], (strand - (indexes.length - 1) / 2) * STRAND_SPACING);
+    });
+  });
+
+  return routes.map(points => points && describeRoute(points));
+}
+
+/**
+ * Routes one connection: anchor on the source, the gap between lanes next to it, a vertical
+ * through the lanes in between if any, the gap next to the target, anchor on the target
+ * @param {Object} from - Box of the source bar
+ * @param {Object} to - Box of the target bar
+ * @param {Array} boxes - Boxes of all bars
+ * @param {number} laneGap - Space (px) between two lanes
+ * @returns {Array} Points { x, y } of the path
+ */
+function routeEdge(from, to, boxes, laneGap) {
+  const sameLane = inSameLane(from, to);
+  const down = sameLane || to.top > from.top;
+
+  // Gaps between lanes the path runs in: a same-lane detour runs below the lane
+  const sourceGap = down ? from.bottom + laneGap / 2 : from.top - laneGap / 2;
+  const targetGap = sameLane ? sourceGap : (down ? to.top - laneGap / 2 : to.bottom + laneGap / 2);
+
+  let head, tail;
+  if (to.left >= from.right + 2 * STUB_LENGTH) {
+    const fromY = (from.top + from.bottom) / 2;
+    const toY = (to.top + to.bottom) / 2;
+
+    // Nothing between two bars of a lane: a straight line
+    if (sameLane && !boxes.some(box => inSameLane(box, from) && box.left < to.left && box.right > from.right)) {
+      return [{ x: from.right, y: fromY }, { x: to.left, y: toY }];
+    }
+
+    head = [{ x: from.right, y: fromY }, { x: from.right + stubLength(from, boxes, 1), y: fromY }];
+    tail = [{ x: to.left - stubLength(to, boxes, -1), y: toY }, { x: to.left, y: toY }];
+  } else {
+    const [fromX, toX] = overlapAnchors(from, to);
+    head = [{ x: fromX, y: down ? from.bottom : from.top }];
+    tail = [{ x: toX, y: down && !sameLane ? to.top : to.bottom }];
+  }
+
+  const start = head[head.length - 1];
+  const end = tail[0];
+  const column = sourceGap === targetGap ? start.x : findColumn(start.x, end.x, sourceGap, targetGap, boxes);
+
+  return simplify([
+    ...head,
+    { x: start.x, y: sourceGap },
+    { x: column, y: sourceGap },
+    { x: column, y: targetGap },
+    { x: end.x, y: targetGap },
+    ...tail
+  ]);
+}
+
+/**
+ * Places the top/bottom anchors of overlapping movements: one above the other near the start
+ * of the span they share, else on the ends closest to each other
+ * @param {Object} from - Box of the source bar
+ * @param {Object} to - Box of the target bar
+ * @returns {Array} x of the source anchor, x of the target anchor
+ */
+function overlapAnchors(from, to) {
+  const inset = box => Math.min(ANCHOR_INSET, (box.right - box.left) / 2);
+  const left = Math.max(from.left, to.left);
+  const right = Math.min(from.right, to.right);
+
+  if (left <= right) {
+    const x = left + Math.min(ANCHOR_INSET, (right - left) / 2);
+    return [x, x];
+  }
+  return to.right < from.left
+    ? [from.left + inset(from), to.right - inset(to)]
+    : [from.right - inset(from), to.left + inset(to)];
+}
+
+/**
+ * Checks whether two bars are in the same lane
+ * A hovered bar is lifted a few px: lanes are told apart by half a bar height
+ * @param {Object} a - Bar box
+ * @param {Object} b - Bar box
+ * @returns {boolean} True if they are at about the same height
+ */
+function inSameLane(a, b) {
+  return Math.abs(a.top - b.top) < (a.bottom - a.top) / 2;
+}
+
+/**
+ * Length of a stub out of a side of a bar: at most half the way to the next bar of the lane
+ * @param {Object} box - Bar box
+ * @param {Array} boxes - Boxes of all bars
+ * @param {number} side - 1 for the right side, -1 for the left side
+ * @returns {number} Length (px)
+ */
+function stubLength(box, boxes, side) {
+  const room = boxes.reduce((closest, other) => {
+    if (other === box || !inSameLane(other, box)) return closest;
+    const distance = side > 0 ? other.left - box.right : box.left - other.right;
+    return distance >= 0 ? Math.min(closest, distance) : closest;
+  }, Infinity);
+  return Math.min(STUB_LENGTH, room / 2);
+}
+
+/**
+ * Picks the x of the vertical segment between two gaps: one of the anchors if nothing is in
+ * the way, else the middle of a gap between bars (shared by the connections passing there),
+ * else the place crossing the fewest bars
+ * @param {number} startX - x of the source anchor
+ * @param {number} endX - x of the target anchor
+ * @param {number} startY - y of the gap next to the source
+ * @param {number} endY - y of the gap next to the target
+ * @param {Array} boxes - Boxes of all bars
+ * @returns {number} x of the vertical segment
+ */
+function findColumn(startX, endX, startY, endY, boxes) {
+  const top = Math.min(startY, endY);
+  const bottom = Math.max(startY, endY);
+  const blocked = boxes
+    .filter(box => box.top < bottom && box.bottom > top)
+    .map(box => [box.left - BAR_MARGIN, box.right + BAR_MARGIN])
+    .sort((a, b) => a[0] - b[0]);
+
+  // Anchors, middles of the gaps between blocked spans, and both ends of the lanes
+  const candidates = [startX, endX];
+  let reach = -Infinity;
+  blocked.forEach(([left, right]) => {
+    if (left > reach) candidates.push(reach === -Infinity ? left : (reach + left) / 2);
+    reach = Math.max(reach, right);
+  });
+  if (reach > -Infinity) candidates.push(reach);
+
+  const min = Math.min(startX, endX);
+  const max = Math.max(startX, endX);
+  const crossings = x => blocked.filter(([left, right]) => left < x && x < right).length;
+  const detour = x => 2 * Math.max(0, min - x, x - max) + (x === startX || x === endX ? 0 : BEND_COST);
+
+  // Crossing fewer bars first, however long the detour
+  return candidates.reduce((best, x) => {
+    const difference = crossings(x) - crossings(best);
+    return difference < 0 || (difference === 0 && detour(x) < detour(best)) ? x : best;
+  });
+}
+
+/**
+ * Removes repeated points and the points in the middle of straight runs
+ * @param {Array} points - Points { x, y }
+ * @returns {Array} Points { x, y }
+ */
+function simplify(points) {
+  const distinct = points.filter((point, i) =>
+    i === 0 || Math.abs(point.x - points[i - 1].x) > 0.01 || Math.abs(point.y - points[i - 1].y) > 0.01);
+
+  // Bars not laid out (hidden timeline): keep both ends of an empty path
+  if (distinct.length < 2) return [points[0], points[points.length - 1]];
+
+  return distinct.filter((point, i) => {
+    if (i === 0 || i === distinct.length - 1) return true;
+    const previous = distinct[i - 1];
+    const next = distinct[i + 1];
+    return !(Math.abs(previous.x - point.x) < 0.01 && Math.abs(point.x - next.x) < 0.01) &&
+      !(Math.abs(previous.y - point.y) < 0.01 && Math.abs(point.y - next.y) < 0.01);
+  });
+}
+
+/**
+ * Shifts a route sideways, keeping its anchors on the sides of the bars
+ * @param {Array} points - Points { x, y } of an orthogonal path, changed in place
+ * @param {number} offset - Shift (px) of every segment
+ */
+function offsetRoute(points, offset) {
+  if (offset === 0) return;
+
+  const last = points.length - 1;
+  points.forEach((point, i) => {
+    if (i > 0 && i < last) {
+      point.x += offset;
+      point.y += offset;
+      return;
+    }
+    // Anchors move along their side: across the segment they start
+    const neighbor = points[i === 0 ? 1 : last - 1];
+    if (Math.abs(neighbor.y - point.y) < 0.01) point.y += offset;
+    else point.x += offset;
+  });
+}
+
+/**
+ * Turns a route into SVG path data, with its end and the place of its label
+ * @param {Array} points - Points { x, y }
+ * @returns {Object} { path, end: { x, y, angle }, label: { x, y } }
+ */
+function describeRoute(points) {
+  const format = value => Math.round(value * 10) / 10;
+  let path = `M ${format(points[0].x)} ${format(points[0].y)}`;
+
+  for (let i = 1; i < points.length - 1; i++) {
+    const previous = points[i - 1];
+    const corner = points[i];
+    const next = points[i + 1];
+    const radius = Math.min(CORNER_RADIUS, distance(previous, corner) / 2, distance(corner, next) / 2);
+    const before = towards(corner, previous, radius);
+    const after = towards(corner, next, radius);
+    path += ` L ${format(before.x)} ${format(before.y)} Q ${format(corner.x)} ${format(corner.y)}, ${format(after.x)} ${format(after.y)}`;
+  }
+
+  const end = points[points.length - 1];
+  const beforeEnd = points[points.length - 2];
+  path += ` L ${format(end.x)} ${format(end.y)}`;
+
+  // The label sits in the middle of the longest segment, clear of the bars and the corners
+  let longest = 1;
+  points.forEach((point, i) => {
+    if (i > 1 && distance(points[i - 1], point) > distance(points[longest - 1], points[longest])) longest = i;
+  });
+  const label = {
+    x: format((points[longest - 1].x + points[longest].x) / 2),
+    y: format((points[longest - 1].y + points[longest].y) / 2)
+  };
+
+  return {
+    path,
+    end: { x: format(end.x), y: format(end.y), angle: Math.atan2(end.y - beforeEnd.y, end.x - beforeEnd.x) },
+    label
+  };
+}
+
+/**
+ * Distance between two points
+ * @param {Object} a - Point { x, y }
+ * @param {Object} b - Point { x, y }
+ * @returns {number} Distance (px)
+ */
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Moves from a point towards another
+ * @param {Object} from - Point { x, y }
+ * @param {Object} to - Point { x, y }
+ * @param {number} length - Distance (px) to move
+ * @returns {Object} Point { x, y }
+ */
+function towards(from, to, length) {
+  const total = distance(from, to);
+  if (total === 0) return { x: from.x, y: from.y };
+  return { x: from.x + (to.x - from.x) * length / total, y: from.y + (to.y - from.y) * length / total };
+}
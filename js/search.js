@@ -0,0 +1,256 @@
+/**
+ * Search Module
+ * Full-text, accent-insensitive search with facet filtering across movements
+ */
+
+import { showMovementDetails } from './timeline.js';
+import { scrollToMovementBar } from './interactions.js';
+import { normalizeText, formatWork } from './utils.js';
+import { t } from './i18n.js';
+
+// Searchable facets, in display order (labels: search.facets.<facet>)
+const FACETS = ['title', 'description', 'context', 'authors', 'works'];
+
+let searchIndex = [];
+let activeFacets = new Set(FACETS);
+let currentQuery = '';
+
+/**
+ * Builds the search index from movements
+ * Each movement gets a list of entries, one per indexed text value
+ * @param {Array} movements - Array of movement objects
+ * @returns {Array} Index of { movement, entries: [{ facet, text, normalized }] }
+ */
+export function buildSearchIndex(movements) {
+  searchIndex = movements.map(movement => {
+    const entries = [];
+    const addEntry = (facet, text) => {
+      if (text) {
+        entries.push({ facet, text: String(text), normalized: normalizeText(text) });
+      }
+    };
+
+    addEntry('title', movement.title);
+    addEntry('description', movement.description);
+
+    if (movement.context) {
+      Object.values(movement.context).forEach(value => addEntry('context', value));
+    }
+
+    (movement.authors || []).forEach(author => addEntry('authors', author.name));
+    (movement.works || []).forEach(work => addEntry('works', formatWork(work)));
+
+    return { movement, entries };
+  });
+
+  return searchIndex;
+}
+
+/**
+ * Searches the index for movements matching every term of the query
+ * @param {string} query - Free-text query
+ * @param {Set<string>} facets - Facets to search in
+ * @returns {Array} Matches of { movement, matches: [entry] }, best first
+ */
+export function searchMovements(query, facets = activeFacets) {
+  const terms = normalizeText(query).split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const results = [];
+
+  searchIndex.forEach(({ movement, entries }) => {
+    const candidates = entries.filter(entry => facets.has(entry.facet));
+
+    // Every term must appear in at least one entry
+    const allTermsFound = terms.every(term =>
+      candidates.some(entry => entry.normalized.includes(term))
+    );
+    if (!allTermsFound) return;
+
+    // Entries matching the most terms come first
+    const matches = candidates
+      .map(entry => ({ entry, count: terms.filter(term => entry.normalized.includes(term)).length }))
+      .filter(({ count }) => count > 0)
+      .sort((a, b) => b.count - a.count)
+      .map(({ entry }) => entry);
+
+    results.push({ movement, matches });
+  });
+
+  // Title matches first, then by number of matching entries
+  return results.sort((a, b) => {
+    const aTitle = a.matches.some(m => m.facet === 'title') ? 1 : 0;
+    const bTitle = b.matches.some(m => m.facet === 'title') ? 1 : 0;
+    if (aTitle !== bTitle) return bTitle - aTitle;
+    return b.matches.length - a.matches.length;
+  });
+}
+
+/**
+ * Sets up the search panel: input, facet toggles and result list
+ * @param {Array} movements - Array of movement objects
+ */
+export function setupSearch(movements) {
+  const input = document.getElementById('search-input');
+  const facetsContainer = document.getElementById('search-facets');
+  const resultsContainer = document.getElementById('search-results');
+
+  if (!input || !facetsContainer || !resultsContainer) return;
+
+  buildSearchIndex(movements);
+  renderFacetToggles(facetsContainer);
+
+  // Relabel the facets in the new language
+  document.addEventListener('timeline:locale', () => renderFacetToggles(facetsContainer));
+
+  input.addEventListener('input', () => {
+    currentQuery = input.value;
+    updateSearch();
+  });
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      input.value = '';
+      currentQuery = '';
+      updateSearch();
+    } else if (event.key === 'Enter') {
+      // Jump to the best result
+      const first = resultsContainer.querySelector('.search-result');
+      if (first) first.click();
+    }
+  });
+
+  resultsContainer.addEventListener('click', (event) => {
+    const result = event.target.closest('.search-result');
+    if (result) {
+      const movementId = result.getAttribute('data-id');
+      scrollToMovementBar(movementId);
+      showMovementDetails(movementId);
+    }
+  });
+}
+
+/**
+ * Re-applies the current search to the rendered bars
+ * Call after the bars have been re-rendered
+ */
+export function updateSearch() {
+  const results = searchMovements(currentQuery);
+  applySearchHighlight(results);
+  renderSearchResults(results);
+}
+
+/**
+ * Renders one toggle button per facet
+ * @param {HTMLElement} container - Facets container
+ */
+function renderFacetToggles(container) {
+  container.innerHTML = '';
+
+  FACETS.forEach(facet => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'filter-btn search-facet';
+    button.dataset.facet = facet;
+    button.textContent = t(`search.facets.${facet}`);
+    button.classList.toggle('active', activeFacets.has(facet));
+    button.setAttribute('aria-pressed', String(activeFacets.has(facet)));
+
+    button.addEventListener('click', () => {
+      if (activeFacets.has(facet)) {
+        activeFacets.delete(facet);
+      } else {
+        activeFacets.add(facet);
+      }
+      const isActive = activeFacets.has(facet);
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+      updateSearch();
+    });
+
+    container.appendChild(button);
+  });
+}
+
+/**
+ * Lights matching bars and dims the others
+ * @param {Array} results - Search results
+ */
+function applySearchHighlight(results) {
+  const barsContainer = document.getElementById('movements-bars');
+  if (!barsContainer) return;
+
+  const matchingIds = new Set(results.map(r => r.movement.id));
+  const isSearching = currentQuery.trim().length > 0;
+
+  barsContainer.classList.toggle('searching', isSearching);
+  barsContainer.querySelectorAll('.movement-bar').forEach(bar => {
+    bar.classList.toggle('search-match', isSearching && matchingIds.has(bar.dataset.id));
+  });
+}
+
+/**
+ * Renders the result list with the matching fields of each movement
+ * @param {Array} results - Search results
+ */
+function renderSearchResults(results) {
+  const container = document.getElementById('search-results');
+  if (!container) return;
+
+  container.innerHTML = '';
+
+  if (!currentQuery.trim()) return;
+
+  if (results.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'search-empty';
+    empty.textContent = t('search.noResults');
+    container.appendChild(empty);
+    return;
+  }
+
+  results.forEach(({ movement, matches }) => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'search-result';
+    item.dataset.id = movement.id;
+
+    const title = document.createElement('div');
+    title.className = 'search-result-title';
+    title.textContent = movement.title;
+    item.appendChild(title);
+
+    // Show a few matched non-title fields as hints
+    matches
+      .filter(match => match.facet !== 'title')
+      .slice(0, 3)
+      .forEach(match => {
+        const hint = document.createElement('div');
+        hint.className = 'search-result-hint';
+        hint.textContent = `${t(`search.facets.${match.facet}`)} : ${excerpt(match.text, currentQuery)}`;
+        item.appendChild(hint);
+      });
+
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Extracts a short excerpt around the first matching term
+ * @param {string} text - Full text
+ * @param {string} query - Search query
+ * @returns {string} Excerpt
+ */
+function excerpt(text, query) {
+  const maxLength = 80;
+  if (text.length <= maxLength) return text;
+
+  // normalizeText keeps string length except for ligatures, close enough for an excerpt
+  const normalized = normalizeText(text);
+  const terms = normalizeText(query).split(/\s+/).filter(Boolean);
+  const positions = terms.map(term => normalized.indexOf(term)).filter(position => position >= 0);
+  const index = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, index - 30);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, start + maxLength)}…`;
+}
@@ -0,0 +1,161 @@
+/**
+ * Data Serializer Module
+ * Writes movements.json in a stable, diff-friendly layout
+ */
+
+import { resolveRef } from './validation.js';
+import { LOCALES, isLocalizedText } from './i18n.js';
+
+const INDENT = '  ';
+
+/**
+ * Serializes configuration data the way movements.json is written by hand
+ * Keys follow the schema's property order (unknown keys last, as found) and per-language
+ * texts list languages in LOCALES order. Objects in arrays (but movements), author registry
+ * entries and per-language texts fit on one line; everything else is indented by two spaces.
+ * Serializing unchanged data gives back the same file.
+ * @param {Object} data - Configuration data (movements.json contents)
+ * @param {Object} schema - Parsed movements.schema.json
+ * @returns {string} JSON text, with a final newline
+ */
+export function formatMovementData(data, schema) {
+  return `${formatValue(data, schema, schema, [])}\n`;
+}
+
+/**
+ * Serializes a value at a given path
+ * @param {*} value - Value to serialize
+ * @param {Object} [schema] - Subschema describing the value
+ * @param {Object} root - Root schema
+ * @param {Array<string|number>} path - Keys from the root to the value
+ * @param {boolean} [inline] - Whether the enclosing value is on one line
+ * @returns {string} JSON text
+ */
+function formatValue(value, schema, root, path, inline = false) {
+  const depth = path.length;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+
+    const itemSchema = findChildSchema(schema, null, root);
+    const items = value.map((item, index) => formatValue(item, itemSchema, root, [...path, index], inline));
+    if (inline) return `[${items.join(', ')}]`;
+
+    return `[\n${items.map(item => `${INDENT.repeat(depth + 1)}${item}`).join(',\n')}\n${INDENT.repeat(depth)}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = orderKeys(value, schema, root);
+    if (keys.length === 0) return '{}';
+
+    const oneLine = inline || isInline(value, path);
+    const entries = keys.map(key =>
+      `${JSON.stringify(key)}: ${formatValue(value[key], findChildSchema(schema, key, root), root, [...path, key], oneLine)}`
+    );
+    if (oneLine) return `{ ${entries.join(', ')} }`;
+
+    return `{\n${entries.map(entry => `${INDENT.repeat(depth + 1)}${entry}`).join(',\n')}\n${INDENT.repeat(depth)}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Tells whether an object is written on one line
+ * @param {Object} value - Object to write
+ * @param {Array<string|number>} path - Keys from the root to the object
+ * @returns {boolean} True for array items (but movements), author registry entries, flat metadata fields
+ * (or their entries, e.g. connection types) and per-language texts
+ */
+function isInline(value, path) {
+  if (isLocalizedText(value)) return true;
+  if (path.length === 2 && path[0] === 'authors') return true;
+  if (path[0] === 'metadata') {
+    return path.length === 3 ||
+      (path.length === 2 && Object.values(value).every(field => !field || typeof field !== 'object' || isLocalizedText(field)));
+  }
+  if (path.length === 2 && path[0] === 'movements') return false;
+
+  return typeof path[path.length - 1] === 'number';
+}
+
+/**
+ * Orders the keys of an object
+ * @param {Object} value - Object to write
+ * @param {Object} [schema] - Subschema describing the object
+ * @param {Object} root - Root schema
+ * @returns {Array<string>} Keys in writing order
+ */
+function orderKeys(value, schema, root) {
+  const known = isLocalizedText(value) ? Object.keys(LOCALES) : getPropertyOrder(schema, root);
+  // Undefined values are left out, as JSON.stringify does
+  const keys = Object.keys(value).filter(key => value[key] !== undefined);
+
+  return [
+    ...known.filter(key => keys.includes(key)),
+    ...keys.filter(key => !known.includes(key))
+  ];
+}
+
+/**
+ * Lists the properties a schema declares, in declaration order (including anyOf branches)
+ * @param {Object} [schema] - Subschema
+ * @param {Object} root - Root schema
+ * @returns {Array<string>} Property names
+ */
+function getPropertyOrder(schema, root) {
+  const resolved = resolveSchema(schema, root);
+  if (!resolved) return [];
+
+  const names = Object.keys(resolved.properties || {});
+  (resolved.anyOf || []).forEach(branch => {
+    getPropertyOrder(branch, root).forEach(name => {
+      if (!names.includes(name)) names.push(name);
+    });
+  });
+  return names;
+}
+
+/**
+ * Finds the subschema of an object property or of array items
+ * @param {Object} [schema] - Subschema of the container
+ * @param {string|null} key - Property name, or null for array items
+ * @param {Object} root - Root schema
+ * @returns {Object|undefined} Subschema, if the schema describes it
+ */
+function findChildSchema(schema, key, root) {
+  const resolved = resolveSchema(schema, root);
+  if (!resolved) return undefined;
+
+  let child;
+  if (key === null) {
+    child = resolved.items;
+  } else if (resolved.properties && resolved.properties[key]) {
+    child = resolved.properties[key];
+  } else if (resolved.additionalProperties && typeof resolved.additionalProperties === 'object') {
+    child = resolved.additionalProperties;
+  }
+
+  if (child) return child;
+
+  // First anyOf branch that describes the child
+  for (const branch of resolved.anyOf || []) {
+    const branchChild = findChildSchema(branch, key, root);
+    if (branchChild) return branchChild;
+  }
+  return undefined;
+}
+
+/**
+ * Follows $ref until a schema with content is reached
+ * @param {Object} [schema] - Subschema
+ * @param {Object} root - Root schema
+ * @returns {Object|undefined} Resolved schema
+ */
+function resolveSchema(schema, root) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    resolved = resolveRef(resolved.$ref, root);
+  }
+  return resolved;
+}
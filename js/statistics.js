@@ -0,0 +1,217 @@
+/**
+ * Statistics Module
+ * Computes and charts author gender representation across the fresco
+ */
+
+import { getMovements, getAuthors } from './config.js';
+import { showMovementDetails } from './timeline.js';
+import { scrollToMovementBar } from './interactions.js';
+import {
+  getSortedWorks,
+  resolveWorkAuthor,
+  countAuthorsByGender,
+  getGenderInfo,
+  UNKNOWN_GENDER
+} from './utils.js';
+import { t } from './i18n.js';
+
+/**
+ * Computes gender representation statistics
+ * @param {Array} movements - Array of movement objects (with resolved authors)
+ * @param {Object} authors - Author registry keyed by id
+ * @returns {Object} { totals, byMovement: [{ movement, counts }], byDecade: [{ decade, counts }] }
+ */
+export function computeStatistics(movements, authors) {
+  const totals = countAuthorsByGender(Object.values(authors));
+
+  const byMovement = movements.map(movement => ({
+    movement,
+    counts: countAuthorsByGender(movement.authors)
+  }));
+
+  // Works per decade of publication, by gender of their author
+  // A work listed in several movements is counted once
+  const seenWorks = new Set();
+  const decades = new Map();
+
+  movements.forEach(movement => {
+    getSortedWorks(movement.works).forEach(work => {
+      if (work.year === null) return;
+
+      const key = `${work.title}|${work.year}`;
+      if (seenWorks.has(key)) return;
+      seenWorks.add(key);
+
+      const author = resolveWorkAuthor(work.author, movement.authors);
+      const decade = Math.floor(work.year / 10) * 10;
+      if (!decades.has(decade)) decades.set(decade, []);
+      decades.get(decade).push({ gender: author ? author.gender : UNKNOWN_GENDER });
+    });
+  });
+
+  const byDecade = Array.from(decades.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([decade, workAuthors]) => ({ decade, counts: countAuthorsByGender(workAuthors) }));
+
+  return { totals, byMovement, byDecade };
+}
+
+/**
+ * Sets up the statistics view: header button, overlay and close controls
+ */
+export function setupStatistics() {
+  const toggleButton = document.getElementById('stats-toggle');
+  const overlay = document.getElementById('stats-overlay');
+  const closeButton = document.getElementById('stats-close');
+  const content = document.getElementById('stats-content');
+
+  if (!toggleButton || !overlay || !content) return;
+
+  const render = () => {
+    content.innerHTML = renderStatistics(computeStatistics(getMovements(), getAuthors()));
+  };
+
+  toggleButton.addEventListener('click', () => {
+    render();
+    overlay.classList.remove('hidden');
+    if (closeButton) closeButton.focus();
+  });
+
+  // Re-render an open overlay in the new language
+  document.addEventListener('timeline:locale', () => {
+    if (!overlay.classList.contains('hidden')) render();
+  });
+
+  const close = () => {
+    overlay.classList.add('hidden');
+    toggleButton.focus();
+  };
+
+  if (closeButton) closeButton.addEventListener('click', close);
+
+  // Click on the backdrop closes, click on a movement opens it
+  overlay.addEventListener('click', (event) => {
+    const row = event.target.closest('[data-movement-id]');
+    if (row) {
+      close();
+      const movementId = row.getAttribute('data-movement-id');
+      scrollToMovementBar(movementId);
+      showMovementDetails(movementId);
+    } else if (event.target === overlay) {
+      close();
+    }
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !overlay.classList.contains('hidden')) {
+      close();
+    }
+  });
+}
+
+/**
+ * Renders the statistics charts
+ * @param {Object} stats - Result of computeStatistics()
+ * @returns {string} HTML string
+ */
+function renderStatistics(stats) {
+  const totalAuthors = sumCounts(stats.totals);
+  const maxPerDecade = Math.max(1, ...stats.byDecade.map(({ counts }) => sumCounts(counts)));
+
+  return `
+    <div class="stats-summary">
+      ${stats.totals.map(({ label, symbol, className, count }) => `
+        <div class="stats-total ${className}">
+          <div class="stats-total-count">${count}</div>
+          <div class="stats-total-label">${symbol} ${label}</div>
+          <div class="stats-total-share">${formatShare(count, totalAuthors)}</div>
+        </div>
+      `).join('')}
+    </div>
+
+    ${renderLegend(stats.totals)}
+
+    <div class="section-title">🌌 ${t('statistics.byMovement')}</div>
+    <div class="stats-chart">
+      ${stats.byMovement.map(({ movement, counts }) => `
+        <div class="stats-row clickable" data-movement-id="${movement.id}">
+          <div class="stats-row-label">${movement.title}</div>
+          ${renderStackedBar(counts, sumCounts(counts))}
+          <div class="stats-row-total">${sumCounts(counts)}</div>
+        </div>
+      `).join('')}
+    </div>
+
+    <div class="section-title">📅 ${t('statistics.byDecade')}</div>
+    <div class="stats-chart">
+      ${stats.byDecade.map(({ decade, counts }) => `
+        <div class="stats-row">
+          <div class="stats-row-label">${t('statistics.decade', { decade })}</div>
+          ${renderStackedBar(counts, maxPerDecade)}
+          <div class="stats-row-total">${sumCounts(counts)}</div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Renders a horizontal stacked bar
+ * @param {Array} counts - Gender counts
+ * @param {number} scale - Value corresponding to the full bar width
+ * @returns {string} HTML string
+ */
+function renderStackedBar(counts, scale) {
+  const total = sumCounts(counts);
+
+  return `
+    <div class="stats-bar">
+      ${counts.map(({ label, symbol, className, count }) => {
+        const share = `${label} : ${count} (${formatShare(count, total)})`;
+        return `
+        <div class="stats-segment ${className}"
+             style="width: ${(count / scale) * 100}%"
+             role="img" title="${share}" aria-label="${share}">${count > 0 ? symbol : ''}</div>
+      `;
+      }).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Renders the color legend
+ * @param {Array} counts - Gender counts present in the data
+ * @returns {string} HTML string
+ */
+function renderLegend(counts) {
+  // Always show the known genders, plus any other value found in the data
+  const keys = new Set(['F', 'M', 'NB', UNKNOWN_GENDER, ...counts.map(c => c.key)]);
+
+  return `
+    <div class="stats-legend">
+      ${Array.from(keys).map(key => {
+        const { label, symbol, className } = getGenderInfo(key);
+        return `<span class="stats-legend-item"><span class="stats-swatch ${className}"></span>${symbol} ${label}</span>`;
+      }).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Sums gender counts
+ * @param {Array} counts - Gender counts
+ * @returns {number} Total
+ */
+function sumCounts(counts) {
+  return counts.reduce((sum, { count }) => sum + count, 0);
+}
+
+/**
+ * Formats a share as a percentage
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {string} Percentage (e.g., "42%")
+ */
+function formatShare(count, total) {
+  return total > 0 ? `${Math.round((count / total) * 100)}%` : '0%';
+}
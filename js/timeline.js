@@ -3,11 +3,50 @@
  * Renders movements as horizontal bars with time axis
  */
 
-import { findMovementById } from './config.js';
-import { parsePeriod, getYearRange, assignLanes, generateDecades, yearToPosition } from './utils.js';
+import {
+  findMovementById,
+  findAuthorById,
+  getMovementsByAuthor,
+  getMetadata,
+  getConnectionTypes,
+  getContextSections
+} from './config.js';
+import {
+  parsePeriod,
+  getYearRange,
+  generateTicks,
+  yearToPosition,
+  abbreviateTitle,
+  getSortedWorks,
+  resolveWorkAuthor,
+  formatLifeSpan,
+  formatNationality,
+  getGenderInfo,
+  countAuthorsByGender,
+  formatWorkType,
+  escapeXML
+} from './utils.js';
+import { assignLanes } from './layout.js';
+import { routeConnections } from './routing.js';
+import { t, getLocale } from './i18n.js';
 
 let currentSelection = null;
-let yearRange = { minYear: 1800, maxYear: 2030 };
+let yearRange = { minYear: 1800, maxYear: 2030, interval: 10 };
+
+// Connection types drawn on the timeline (all of the data's types until filtered)
+let visibleConnectionTypes = null;
+
+// Semantic zoom: below OVERVIEW_MAX pixels per year the timeline shows an overview,
+// from DETAIL_MIN it shows details; 'normal' in between
+const OVERVIEW_MAX_PX_PER_YEAR = 30;
+const DETAIL_MIN_PX_PER_YEAR = 100;
+let detailLevel = 'normal';
+
+// Height of each lane (bar + spacing)
+const LANE_HEIGHT = 70;
+
+// Radius (px) of the dots labelling the connections
+const LABEL_RADIUS = 5;
 
 /**
  * Renders the complete horizontal timeline
@@ -15,104 +54,256 @@ let yearRange = { minYear: 1800, maxYear: 2030 };
  */
 export function renderTimeline(movements) {
   const container = document.getElementById('timeline');
-  container.innerHTML = '';
 
-  // Assign lanes to prevent overlaps
-  const movementsWithLanes = assignLanes(movements);
-
-  // Get year range
-  yearRange = getYearRange(movements);
+  // Fresh bars and sidebar: nothing is selected anymore
+  currentSelection = null;
 
   // Create layout: visualization (left) + details sidebar (right)
-  container.innerHTML = `
-    <div class="timeline-visualization">
-      <div class="time-axis" id="time-axis"></div>
-      <svg class="connections" id="connections-svg"></svg>
-      <div class="movements-bars" id="movements-bars"></div>
-    </div>
-    <div class="details-sidebar hidden" id="details-sidebar">
-      <p>Cliquez sur un courant pour voir ses détails</p>
-    </div>
-  `;
+  container.innerHTML = renderTimelineHTML(movements);
 
   // Start with sidebar hidden
   container.classList.add('sidebar-hidden');
 
-  // Render time axis with decades
-  renderTimeAxis();
+  // Draw connections
+  setTimeout(() => drawConnections(movements), 100);
+}
 
-  // Render movement bars
-  renderMovementBars(movementsWithLanes);
+/**
+ * Takes over a timeline pre-rendered by scripts/build.mjs instead of replacing it
+ * Falls back to a full render when the markup was built in another language or from other data
+ * @param {Array} movements - Array of movement objects
+ * @returns {boolean} True if the existing markup was kept
+ */
+export function hydrateTimeline(movements) {
+  const container = document.getElementById('timeline');
+  const bars = container.querySelectorAll('.movement-bar');
+  const matches = container.dataset.prerendered === getLocale() &&
+    bars.length === movements.length &&
+    movements.every(movement => container.querySelector(`.movement-bar[data-id="${movement.id}"]`));
+
+  if (!matches) {
+    renderTimeline(movements);
+    return false;
+  }
 
-  // Draw connections
+  // Same lanes and range as the build, for positions computed later
+  assignLanes(movements, getMetadata().lanes);
+  yearRange = getYearRange(movements, getMetadata().axis);
+  currentSelection = null;
+
+  container.classList.add('sidebar-hidden');
   setTimeout(() => drawConnections(movements), 100);
+  return true;
+}
+
+/**
+ * Builds the timeline markup: time axis, bars, connections layer, graph view and sidebar
+ * Pure string template, shared by the page and the static build
+ * @param {Array} movements - Array of movement objects
+ * @returns {string} HTML string
+ */
+export function renderTimelineHTML(movements) {
+  // Assign lanes to prevent overlaps
+  const movementsWithLanes = assignLanes(movements, getMetadata().lanes);
+
+  // Get year range
+  yearRange = getYearRange(movements, getMetadata().axis);
+
+  // The axis and the curves are visual: bars carry their period and connections in words
+  return `
+    <div class="timeline-visualization lod-${detailLevel}">
+      <div class="time-axis" id="time-axis" style="min-width: 100%" aria-hidden="true">${renderTimeAxis()}</div>
+      <svg class="connections" id="connections-svg" aria-hidden="true" focusable="false"></svg>
+      ${renderMovementBars(movementsWithLanes)}
+    </div>
+    <div class="graph-view hidden" id="graph-view"></div>
+    <div class="details-sidebar hidden" id="details-sidebar" role="region" aria-label="${t('sidebar.regionLabel')}">
+      <p>${t('sidebar.placeholder')}</p>
+    </div>
+  `;
 }
 
 /**
- * Renders the time axis with decade markers
+ * Renders the time axis with a marker per tick, spaced for the level of detail:
+ * every interval years (a decade unless metadata.axis says otherwise), 2.5 intervals
+ * in the overview (quarter-centuries), every year in details
+ * The axis line extends to 100% of its container width (which is already 300%)
+ * @returns {string} HTML string for the tick markers
  */
 function renderTimeAxis() {
-  const timeAxis = document.getElementById('time-axis');
-  const decades = generateDecades(yearRange.minYear, yearRange.maxYear);
-
-  // Ensure the axis line extends to 100% of its container width (which is already 300%)
-  timeAxis.style.minWidth = '100%';
-
-  decades.forEach(decade => {
-    const position = yearToPosition(decade, yearRange.minYear, yearRange.maxYear);
-    const marker = document.createElement('div');
-    marker.className = 'decade-marker';
-    marker.style.left = `${position}%`;
-    marker.innerHTML = `
-      <div class="decade-line"></div>
-      <div class="decade-label">${decade}</div>
+  const { minYear, maxYear, interval } = yearRange;
+  const step = {
+    overview: Math.max(1, Math.round(interval * 2.5)),
+    normal: interval,
+    detail: 1
+  }[detailLevel];
+
+  return generateTicks(minYear, maxYear, step).map(tick => {
+    const position = yearToPosition(tick, minYear, maxYear);
+    // Years between the usual ticks are drawn smaller
+    const minor = detailLevel === 'detail' && tick % interval !== 0;
+    return `
+      <div class="axis-tick ${minor ? 'minor' : ''}" style="left: ${position}%">
+        <div class="axis-tick-line"></div>
+        <div class="axis-tick-label">${tick}</div>
+      </div>
     `;
-    timeAxis.appendChild(marker);
-  });
+  }).join('');
+}
+
+/**
+ * Picks the level of detail from the width a year takes on screen, and re-renders the
+ * axis when it changes (called after zooming and resizing)
+ * Styles follow the lod-overview, lod-normal or lod-detail class of the visualization
+ */
+export function updateDetailLevel() {
+  const visualization = document.querySelector('.timeline-visualization');
+  const bars = document.getElementById('movements-bars');
+  const axis = document.getElementById('time-axis');
+  if (!visualization || !bars || !axis) return;
+
+  // Hidden (graph view) or not laid out yet: keep the current level
+  const pixelsPerYear = bars.offsetWidth / (yearRange.maxYear - yearRange.minYear);
+  if (!(pixelsPerYear > 0)) return;
+
+  let level = 'normal';
+  if (pixelsPerYear < OVERVIEW_MAX_PX_PER_YEAR) level = 'overview';
+  else if (pixelsPerYear >= DETAIL_MIN_PX_PER_YEAR) level = 'detail';
+  if (level === detailLevel) return;
+
+  visualization.classList.remove(`lod-${detailLevel}`);
+  visualization.classList.add(`lod-${level}`);
+  detailLevel = level;
+  axis.innerHTML = renderTimeAxis();
 }
 
 /**
  * Renders movement bars
  * @param {Array} movements - Movements with lane assignments
+ * @returns {string} HTML string for the bars container
  */
 function renderMovementBars(movements) {
-  const barsContainer = document.getElementById('movements-bars');
-  const laneHeight = 70; // Height of each lane (bar + spacing)
-  const barHeight = 60; // Height of the bar itself
-
   // Calculate container height based on number of lanes
   const maxLane = Math.max(...movements.map(m => m.lane || 0));
-  barsContainer.style.height = `${(maxLane + 1) * laneHeight + 20}px`;
 
-  movements.forEach(movement => {
+  // Only the earliest bar is in the tab order; arrow keys move between bars from there
+  const first = movements.reduce((earliest, movement) =>
+    (!earliest || parsePeriod(movement.period).start < parsePeriod(earliest.period).start ? movement : earliest), null);
+
+  const bars = movements.map(movement => {
     const { start, end } = parsePeriod(movement.period);
     const startPos = yearToPosition(start, yearRange.minYear, yearRange.maxYear);
     const endPos = yearToPosition(end, yearRange.minYear, yearRange.maxYear);
     const width = endPos - startPos;
 
-    const bar = document.createElement('div');
-    bar.className = 'movement-bar';
-    bar.dataset.id = movement.id;
-    bar.style.left = `${startPos}%`;
-    bar.style.width = `${width}%`;
-    bar.style.top = `${movement.lane * laneHeight}px`;
-
-    bar.innerHTML = `
-      <div class="movement-bar-content">
-        <div class="movement-bar-title">${movement.title}</div>
-        <div class="movement-bar-period">${movement.period}</div>
+    return `
+      <div class="movement-bar" data-id="${movement.id}" role="button" tabindex="${movement === first ? 0 : -1}"
+           aria-label="${escapeXML(t('a11y.bar', { title: movement.title, period: movement.period }))}"
+           aria-describedby="connections-${movement.id}"
+           style="left: ${startPos}%; width: ${width}%; top: ${movement.lane * LANE_HEIGHT}px">
+        <div class="movement-bar-content">
+          <div class="movement-bar-title">${movement.title}</div>
+          <div class="movement-bar-short">${abbreviateTitle(movement.title)}</div>
+          <div class="movement-bar-period">${movement.period}</div>
+          ${renderBarAuthors(movement)}
+        </div>
+        ${renderWorkMarkers(movement, start, end)}
+        <span class="sr-only" id="connections-${movement.id}">${describeConnections(movement, movements)}</span>
       </div>
     `;
+  }).join('');
 
-    barsContainer.appendChild(bar);
+  return `
+    <p class="sr-only" id="timeline-help">${t('a11y.help')}</p>
+    <div class="movements-bars" id="movements-bars" role="group" aria-label="${t('a11y.timeline')}" aria-describedby="timeline-help"
+         style="height: ${(maxLane + 1) * LANE_HEIGHT + 20}px">
+      ${bars}
+    </div>
+  `;
+}
+
+/**
+ * Describes the connections of a movement in words, as a text alternative to the curves
+ * @param {Object} movement - Movement data
+ * @param {Array} movements - All movements, to name targets and find incoming connections
+ * @returns {string} Outgoing then incoming connections, by type
+ */
+function describeConnections(movement, movements) {
+  const titleOf = id => {
+    const target = movements.find(other => other.id === id);
+    return target ? target.title : id;
+  };
+  const sentences = [];
+
+  Object.entries(getConnectionTypes()).forEach(([type, typeInfo]) => {
+    const outgoing = (movement.connections && movement.connections[type]) || [];
+    if (outgoing.length > 0) {
+      sentences.push(t('a11y.outgoing', { label: typeInfo.label, targets: outgoing.map(conn => titleOf(conn.to)).join(', ') }));
+    }
+
+    const incoming = movements.filter(other =>
+      other.connections && (other.connections[type] || []).some(conn => conn.to === movement.id));
+    if (incoming.length > 0) {
+      sentences.push(t('a11y.incoming', { label: typeInfo.label, sources: incoming.map(other => other.title).join(', ') }));
+    }
   });
+
+  return sentences.length > 0 ? sentences.join(' ') : t('a11y.noConnections');
+}
+
+/**
+ * Renders the author chips shown inside a bar when zoomed in
+ * @param {Object} movement - Movement data
+ * @returns {string} HTML string for the chips
+ */
+function renderBarAuthors(movement) {
+  if (!movement.authors || movement.authors.length === 0) return '';
+
+  const chips = movement.authors.map(author =>
+    `<span class="bar-author ${getGenderInfo(author.gender).className}">${author.name}</span>`
+  ).join('');
+  return `<div class="movement-bar-authors">${chips}</div>`;
+}
+
+/**
+ * Renders tick marks at the publication year of each dated work
+ * @param {Object} movement - Movement data
+ * @param {number} start - Start year of the movement
+ * @param {number} end - End year of the movement
+ * @returns {string} HTML string for the work markers
+ */
+function renderWorkMarkers(movement, start, end) {
+  const startPos = yearToPosition(start, yearRange.minYear, yearRange.maxYear);
+  const endPos = yearToPosition(end, yearRange.minYear, yearRange.maxYear);
+  const width = endPos - startPos;
+  if (width <= 0) return '';
+
+  return getSortedWorks(movement.works)
+    .filter(work => work.year !== null)
+    .map(work => {
+      // Position within the bar, clamped for works published outside the period
+      const position = (yearToPosition(work.year, yearRange.minYear, yearRange.maxYear) - startPos) / width * 100;
+      const outside = position < 0 || position > 100;
+      const author = resolveWorkAuthor(work.author, movement.authors);
+
+      return `
+        <div class="work-marker ${outside ? 'outside-period' : ''}"
+             style="left: ${Math.max(0, Math.min(100, position))}%"
+             data-work-index="${work.index}"
+             data-title="${escapeXML(work.title)}"
+             data-author="${escapeXML(author ? author.name : (work.author || ''))}"
+             data-year="${work.year}"></div>
+      `;
+    }).join('');
 }
 
 /**
  * Shows movement details in the sidebar
  * @param {string} movementId - Movement ID to display
+ * @param {Object} [options] - Display options
+ * @param {number} [options.highlightWork] - Index of a work to highlight in the works list
  */
-export function showMovementDetails(movementId) {
+export function showMovementDetails(movementId, options = {}) {
   const movement = findMovementById(movementId);
   if (!movement) return;
 
@@ -120,83 +311,276 @@ export function showMovementDetails(movementId) {
 
   // Update bar selection states
   document.querySelectorAll('.movement-bar').forEach(bar => {
+    bar.classList.remove('author-match');
     if (bar.dataset.id === movementId) {
       bar.classList.add('selected');
+      bar.setAttribute('aria-current', 'true');
     } else {
       bar.classList.remove('selected');
+      bar.removeAttribute('aria-current');
     }
   });
 
-  const sidebar = document.getElementById('details-sidebar');
-  const container = document.getElementById('timeline');
-  const toggleButton = document.getElementById('sidebar-toggle');
-
   // Show sidebar when movement is clicked
-  sidebar.classList.remove('empty', 'hidden');
-  container.classList.remove('sidebar-hidden');
-  if (toggleButton) {
-    toggleButton.classList.add('active');
+  const sidebar = openSidebar();
+  sidebar.innerHTML = renderMovementDetailsHTML(movement, options);
+
+  // Redraw connections to highlight
+  const movements = Array.from(document.querySelectorAll('.movement-bar')).map(bar =>
+    findMovementById(bar.dataset.id)
+  ).filter(Boolean);
+  drawConnections(movements);
+
+  // Bring the highlighted work into view
+  const highlightedWork = sidebar.querySelector('.work.highlighted');
+  if (highlightedWork) {
+    highlightedWork.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
   }
 
-  // Count authors by gender
-  const maleAuthors = movement.authors.filter(a => a.gender === 'M');
-  const femaleAuthors = movement.authors.filter(a => a.gender === 'F');
+  // Notify listeners (URL state, ...) of the new selection
+  document.dispatchEvent(new CustomEvent('timeline:select', { detail: { movementId } }));
+}
 
-  sidebar.innerHTML = `
+/**
+ * Builds the details of a movement, as shown in the sidebar
+ * Pure string template, shared by the page and the static build
+ * @param {Object} movement - Movement data
+ * @param {Object} [options] - Display options
+ * @param {number} [options.highlightWork] - Index of a work to highlight in the works list
+ * @returns {string} HTML string
+ */
+export function renderMovementDetailsHTML(movement, options = {}) {
+  return `
     <div class="sidebar-title">${movement.title}</div>
     <div class="sidebar-period">${movement.period}</div>
     <div class="sidebar-description">${movement.description}</div>
 
-    ${movement.context ? `
-      <div class="section-title">🌍 Contexte & Enjeux</div>
-      <div class="context-section">
-        <div class="context-item">
-          <div class="context-label">📅 Contexte historique</div>
-          <div class="context-text">${movement.context.historical}</div>
-        </div>
-        <div class="context-item">
-          <div class="context-label">💭 Thèmes récurrents</div>
-          <div class="context-text">${movement.context.themes}</div>
-        </div>
-        <div class="context-item">
-          <div class="context-label">🤔 Questionnements de société</div>
-          <div class="context-text">${movement.context.questionnements}</div>
-        </div>
-        <div class="context-item">
-          <div class="context-label">🔬 Concepts scientifiques</div>
-          <div class="context-text">${movement.context.scientific}</div>
-        </div>
-        <div class="context-item">
-          <div class="context-label">✍️ Innovations littéraires</div>
-          <div class="context-text">${movement.context.literary}</div>
-        </div>
-      </div>
-    ` : ''}
+    ${renderContextSection(movement)}
+
+    ${renderAuthorsSection(movement)}
+
+    ${renderWorksSection(movement, options)}
+
+    ${renderConnectionsSection(movement)}
+  `;
+}
 
-    <div class="section-title">👥 Auteur·ice·s majeur·e·s (${femaleAuthors.length}♀ / ${maleAuthors.length}♂)</div>
+/**
+ * Renders the context section of a movement, in the declared section order
+ * @param {Object} movement - Movement data
+ * @returns {string} HTML string (empty without context)
+ */
+function renderContextSection(movement) {
+  if (!movement.context) return '';
+
+  return `
+    <div class="section-title">🌍 ${t('sidebar.context')}</div>
+    <div class="context-section">
+      ${getContextSections().filter(section => movement.context[section.key]).map(section => renderContextItem(movement, section)).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Renders one context section of a movement (shared with the comparison view)
+ * @param {Object} movement - Movement data
+ * @param {Object} section - Context section ({ key, icon, label })
+ * @param {Object} [options] - Display options
+ * @param {boolean} [options.label=true] - Show the section label (the comparison shows it once per row)
+ * @returns {string} HTML string ('—' when the movement has no text for the section)
+ */
+export function renderContextItem(movement, section, { label = true } = {}) {
+  return `
+      <div class="context-item">
+        ${label ? `<div class="context-label">${section.icon} ${section.label}</div>` : ''}
+        <div class="context-text">${(movement.context && movement.context[section.key]) || '—'}</div>
+      </div>`;
+}
+
+/**
+ * Renders the authors section of a movement, with counts by gender
+ * @param {Object} movement - Movement data
+ * @returns {string} HTML string
+ */
+function renderAuthorsSection(movement) {
+  const genderCounts = countAuthorsByGender(movement.authors)
+    .map(gender => `<span title="${gender.label}">${gender.count}${renderGenderSymbol(gender)}</span>`)
+    .join(' / ');
+
+  return `
+    <div class="section-title">👥 ${t('sidebar.authors')} (${genderCounts})</div>
     <div class="authors">
-      ${movement.authors.map(author => `
-        <div class="author ${author.gender === 'F' ? 'female' : ''} ${author.favorite ? 'favorite' : ''}">
-          ${author.name} ${author.gender === 'F' ? '♀' : '♂'}
-        </div>
-      `).join('')}
+      ${movement.authors.map(author => renderAuthor(author)).join('')}
     </div>
+  `;
+}
 
-    <div class="section-title">📚 Œuvres marquantes</div>
+/**
+ * Renders an author chip; clicking it opens the author view
+ * @param {Object} author - Resolved author ({ id, name, gender, favorite })
+ * @returns {string} HTML string
+ */
+export function renderAuthor(author) {
+  const gender = getGenderInfo(author.gender);
+
+  return `
+    <div class="author ${gender.className} ${author.gender === 'F' ? 'female' : ''} ${author.favorite ? 'favorite' : ''}" data-author-id="${author.id}" role="button" tabindex="0">
+      ${author.name} ${renderGenderSymbol(gender)}
+    </div>
+  `;
+}
+
+/**
+ * Renders a gender symbol, read out as its label by screen readers
+ * @param {Object} gender - Result of getGenderInfo()
+ * @returns {string} HTML string
+ */
+export function renderGenderSymbol(gender) {
+  return `<span title="${gender.label}" aria-hidden="true">${gender.symbol}</span><span class="sr-only">${gender.label}</span>`;
+}
+
+/**
+ * Renders the works section of a movement, in chronological order
+ * @param {Object} movement - Movement data
+ * @param {Object} [options] - Display options
+ * @param {number} [options.highlightWork] - Index of a work to highlight
+ * @returns {string} HTML string
+ */
+function renderWorksSection(movement, options = {}) {
+  return `
+    <div class="section-title">📚 ${t('sidebar.works')}</div>
     <div class="works">
-      ${movement.works.map(work => `
-        <div class="work">${work}</div>
+      ${getSortedWorks(movement.works).map(work => renderWork(work, movement.authors, work.index === options.highlightWork)).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Shows an author view in the sidebar, listing every movement the author belongs to
+ * @param {string} authorId - Author ID to display
+ */
+export function showAuthorDetails(authorId) {
+  const author = findAuthorById(authorId);
+  if (!author) return;
+
+  const movements = getMovementsByAuthor(authorId);
+  const movementIds = new Set(movements.map(m => m.id));
+
+  // Highlight the author's movements on the timeline
+  document.querySelectorAll('.movement-bar').forEach(bar => {
+    bar.classList.toggle('author-match', movementIds.has(bar.dataset.id));
+  });
+
+  // Works credited to this author across all movements
+  const works = [];
+  movements.forEach(movement => {
+    getSortedWorks(movement.works).forEach(work => {
+      const workAuthor = resolveWorkAuthor(work.author, movement.authors);
+      const isDuplicate = works.some(w => w.title === work.title && w.year === work.year);
+      if (workAuthor && workAuthor.id === authorId && !isDuplicate) {
+        works.push(work);
+      }
+    });
+  });
+  works.sort((a, b) => (a.year ?? Infinity) - (b.year ?? Infinity));
+
+  const details = [formatLifeSpan(author), formatNationality(author.nationality)].filter(Boolean).join(' · ');
+  const gender = getGenderInfo(author.gender);
+
+  const sidebar = openSidebar();
+  sidebar.innerHTML = `
+    <div class="sidebar-title author-view-title">${author.name} ${renderGenderSymbol(gender)}</div>
+    ${details ? `<div class="sidebar-period">${details}</div>` : ''}
+    ${author.bio ? `<div class="sidebar-description">${author.bio}</div>` : ''}
+
+    <div class="section-title">🌌 ${t('sidebar.authorMovements')} (${movements.length})</div>
+    <div class="connections-section author-movements">
+      ${movements.map(movement => `
+        <a class="connection-link author-movement" href="#movement-${movement.id}" data-target="${movement.id}">
+          <strong>${movement.title}</strong>
+          <br><small>${movement.period}</small>
+        </a>
       `).join('')}
     </div>
 
-    ${renderConnectionsSection(movement)}
+    ${works.length > 0 ? `
+      <div class="section-title">📚 ${t('sidebar.authorWorks')}</div>
+      <div class="works">
+        ${works.map(work => renderWork({ ...work, author: null }, [], false)).join('')}
+      </div>
+    ` : ''}
   `;
 
-  // Redraw connections to highlight
-  const movements = Array.from(document.querySelectorAll('.movement-bar')).map(bar =>
-    findMovementById(bar.dataset.id)
-  ).filter(Boolean);
-  drawConnections(movements);
+  document.dispatchEvent(new CustomEvent('timeline:author', { detail: { authorId } }));
+}
+
+/**
+ * Reveals the details sidebar
+ * @returns {HTMLElement} The sidebar element
+ */
+function openSidebar() {
+  const sidebar = document.getElementById('details-sidebar');
+  const container = document.getElementById('timeline');
+  const toggleButton = document.getElementById('sidebar-toggle');
+
+  sidebar.classList.remove('empty', 'hidden');
+  container.classList.remove('sidebar-hidden');
+  if (toggleButton) {
+    toggleButton.classList.add('active');
+    toggleButton.setAttribute('aria-expanded', 'true');
+  }
+
+  return sidebar;
+}
+
+/**
+ * Renders a single work for the sidebar
+ * @param {Object} work - Parsed work (see parseWork)
+ * @param {Array} authors - Authors of the movement, to link the work's author
+ * @param {boolean} highlighted - Whether to highlight the work
+ * @returns {string} HTML string for the work
+ */
+export function renderWork(work, authors, highlighted) {
+  const author = resolveWorkAuthor(work.author, authors);
+  const years = work.end_year ? `${work.year}–${work.end_year}` : work.year;
+
+  let authorHTML = '';
+  if (author) {
+    authorHTML = `<span class="work-author author-link" data-author-id="${author.id}" role="button" tabindex="0">${author.name}</span>`;
+  } else if (work.author) {
+    authorHTML = `<span class="work-author">${work.author}</span>`;
+  }
+
+  return `
+    <div class="work ${highlighted ? 'highlighted' : ''}" data-work-index="${work.index}">
+      ${work.year !== null ? `<span class="work-year">${years}</span>` : ''}
+      <span class="work-title">${work.title}</span>
+      ${work.original_title ? `<span class="work-original-title">${work.original_title}</span>` : ''}
+      ${authorHTML}
+      ${work.type ? `<span class="work-type">${formatWorkType(work.type)}</span>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Clears the current selection and resets the sidebar
+ */
+export function clearSelection() {
+  currentSelection = null;
+
+  document.querySelectorAll('.movement-bar').forEach(bar => {
+    bar.classList.remove('selected', 'author-match');
+    bar.removeAttribute('aria-current');
+  });
+
+  const sidebar = document.getElementById('details-sidebar');
+  if (sidebar) {
+    sidebar.innerHTML = `<p>${t('sidebar.placeholder')}</p>`;
+  }
+
+  drawConnections(getRenderedMovements());
+
+  document.dispatchEvent(new CustomEvent('timeline:select', { detail: { movementId: null } }));
 }
 
 /**
@@ -204,33 +588,28 @@ export function showMovementDetails(movementId) {
  * @param {Object} movement - Movement data
  * @returns {string} HTML string for connections
  */
-function renderConnectionsSection(movement) {
+export function renderConnectionsSection(movement) {
   if (!movement.connections) return '';
 
-  const typeLabels = {
-    influence: { icon: '→', label: 'Influence directe sur' },
-    reaction: { icon: '⚡', label: 'Réaction contre' },
-    evolution: { icon: '↗', label: 'Évolution de' },
-    related: { icon: '↔', label: 'En lien avec' }
-  };
-
   let connectionsHTML = '';
+  const connectionTypes = getConnectionTypes();
 
-  Object.entries(movement.connections).forEach(([type, connections]) => {
+  // Groups follow the declared order of the types
+  Object.entries(connectionTypes).forEach(([type, typeInfo]) => {
+    const connections = movement.connections[type];
     if (connections && connections.length > 0) {
-      const typeInfo = typeLabels[type];
       connectionsHTML += `
-        <div class="connection-group">
-          <div class="connection-type-title ${type}">
+        <div class="connection-group" data-type="${type}" style="--connection-color: ${typeInfo.color}">
+          <div class="connection-type-title">
             ${typeInfo.icon} ${typeInfo.label}
           </div>
           ${connections.map(conn => {
             const targetMovement = findMovementById(conn.to);
             return `
-              <div class="connection-link ${type}" data-target="${conn.to}">
+              <a class="connection-link" href="#movement-${conn.to}" data-target="${conn.to}">
                 <strong>${targetMovement ? targetMovement.title : conn.to}</strong>
                 <br><small>${conn.desc}</small>
-              </div>
+              </a>
             `;
           }).join('')}
         </div>
@@ -240,7 +619,7 @@ function renderConnectionsSection(movement) {
 
   if (connectionsHTML) {
     return `
-      <div class="section-title">🔗 Connexions avec d'autres courants</div>
+      <div class="section-title">🔗 ${t('sidebar.connections')}</div>
       <div class="connections-section">
         ${connectionsHTML}
       </div>
@@ -251,7 +630,7 @@ function renderConnectionsSection(movement) {
 }
 
 /**
- * Draws connection lines between movements
+ * Draws connection lines between movements, routed around the bars (see routing.js)
  * @param {Array} movements - Array of movement objects
  */
 export function drawConnections(movements) {
@@ -260,63 +639,101 @@ export function drawConnections(movements) {
 
   svg.innerHTML = '';
 
+  const connectionTypes = getConnectionTypes();
+  const visibleTypes = getVisibleConnectionTypes();
+  const container = svg.parentElement;
+  const containerRect = container.getBoundingClientRect();
+
+  // The SVG scrolls with the content: convert viewport to content coordinates
+  const originX = containerRect.left + container.clientLeft - container.scrollLeft;
+  const originY = containerRect.top + container.clientTop - container.scrollTop;
+
+  // Every bar is an obstacle, whether its connections are drawn or not
+  const bars = new Map();
+  container.querySelectorAll('.movement-bar').forEach(bar => {
+    const rect = bar.getBoundingClientRect();
+    bars.set(bar.dataset.id, {
+      left: rect.left - originX,
+      right: rect.right - originX,
+      top: rect.top - originY,
+      bottom: rect.bottom - originY
+    });
+  });
+
+  const edges = [];
   movements.forEach(movement => {
-    if (!movement.connections) return;
-
-    Object.entries(movement.connections).forEach(([type, connections]) => {
-      if (connections) {
-        connections.forEach(conn => {
-          const fromBar = document.querySelector(`[data-id="${movement.id}"]`);
-          const toBar = document.querySelector(`[data-id="${conn.to}"]`);
-
-          if (!fromBar || !toBar) return;
-
-          const fromRect = fromBar.getBoundingClientRect();
-          const toRect = toBar.getBoundingClientRect();
-          const containerRect = svg.parentElement.getBoundingClientRect();
-
-          // Calculate connection points (from right edge of from-bar to left edge of to-bar)
-          const fromX = fromRect.right - containerRect.left;
-          const fromY = fromRect.top + fromRect.height / 2 - containerRect.top;
-          const toX = toRect.left - containerRect.left;
-          const toY = toRect.top + toRect.height / 2 - containerRect.top;
-
-          // Create curved arrow path
-          const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-
-          // Bezier curve with proper control points
-          const controlX1 = fromX + (toX - fromX) * 0.3;
-          const controlY1 = fromY;
-          const controlX2 = fromX + (toX - fromX) * 0.7;
-          const controlY2 = toY;
-
-          const d = `M ${fromX} ${fromY} C ${controlX1} ${controlY1}, ${controlX2} ${controlY2}, ${toX} ${toY}`;
-
-          path.setAttribute('d', d);
-          path.setAttribute('class', `connection-line ${type}`);
-          path.setAttribute('data-from', movement.id);
-          path.setAttribute('data-to', conn.to);
-
-          // Highlight if connected to current selection
-          if (currentSelection && (movement.id === currentSelection || conn.to === currentSelection)) {
-            path.classList.add('active');
-          }
-
-          svg.appendChild(path);
-
-          // Add arrowhead marker
-          const arrowhead = addArrowhead(svg, toX, toY, Math.atan2(toY - controlY2, toX - controlX2), type);
-          arrowhead.setAttribute('data-from', movement.id);
-          arrowhead.setAttribute('data-to', conn.to);
-
-          // Highlight arrowhead if connected to current selection
-          if (currentSelection && (movement.id === currentSelection || conn.to === currentSelection)) {
-            arrowhead.classList.add('active');
-          }
-        });
+    Object.entries(movement.connections || {}).forEach(([type, connections]) => {
+      if (connections && connectionTypes[type] && visibleTypes.has(type)) {
+        connections.forEach(conn => edges.push({ from: movement.id, to: conn.to, type, desc: conn.desc }));
       }
     });
   });
+
+  // Bars are shorter on small screens: the lanes keep their height
+  const firstBar = bars.values().next().value;
+  const laneGap = firstBar ? LANE_HEIGHT - (firstBar.bottom - firstBar.top) : 0;
+  const routes = routeConnections(edges, bars, laneGap);
+
+  edges.forEach((edge, i) => {
+    const route = routes[i];
+    if (!route) return;
+
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', route.path);
+    path.setAttribute('class', 'connection-line');
+    path.setAttribute('stroke', connectionTypes[edge.type].color);
+    svg.appendChild(path);
+
+    // Arrowhead along the last segment, tip on the target's side; none for undirected types
+    const shapes = [path];
+    if (connectionTypes[edge.type].direction !== 'none') {
+      shapes.push(addArrowhead(svg, route.end.x, route.end.y, route.end.angle, edge.type));
+    }
+    if (edge.desc) {
+      shapes.push(addConnectionLabel(svg, route.label, edge));
+    }
+
+    shapes.forEach(shape => {
+      shape.setAttribute('data-type', edge.type);
+      shape.setAttribute('data-from', edge.from);
+      shape.setAttribute('data-to', edge.to);
+
+      // Highlight if connected to current selection
+      if (currentSelection && (edge.from === currentSelection || edge.to === currentSelection)) {
+        shape.classList.add('active');
+      }
+    });
+  });
+
+  // Let decorators (lineage tracing, ...) re-apply their classes
+  document.dispatchEvent(new CustomEvent('timeline:connections'));
+}
+
+/**
+ * Sets which connection types are drawn on the timeline
+ * @param {Iterable<string>} types - Connection type keys
+ */
+export function setVisibleConnectionTypes(types) {
+  visibleConnectionTypes = new Set(types);
+  drawConnections(getRenderedMovements());
+}
+
+/**
+ * Gets the connection types drawn on the timeline
+ * @returns {Set<string>} Connection type keys
+ */
+export function getVisibleConnectionTypes() {
+  return new Set(visibleConnectionTypes || Object.keys(getConnectionTypes()));
+}
+
+/**
+ * Gets the movements currently rendered as bars
+ * @returns {Array} Movement objects
+ */
+function getRenderedMovements() {
+  return Array.from(document.querySelectorAll('.movement-bar')).map(bar =>
+    findMovementById(bar.dataset.id)
+  ).filter(Boolean);
 }
 
 /**
@@ -325,7 +742,7 @@ export function drawConnections(movements) {
  * @param {number} x - X position
  * @param {number} y - Y position
  * @param {number} angle - Angle in radians
- * @param {string} type - Connection type for styling
+ * @param {string} type - Connection type, for its color
  */
 function addArrowhead(svg, x, y, angle, type) {
   const arrowSize = 8;
@@ -340,21 +757,39 @@ function addArrowhead(svg, x, y, angle, type) {
   const point3Y = y - arrowSize * Math.sin(angle + Math.PI / 6);
 
   polygon.setAttribute('points', `${point1X},${point1Y} ${point2X},${point2Y} ${point3X},${point3Y}`);
-  polygon.setAttribute('class', `connection-arrowhead ${type}`);
+  polygon.setAttribute('class', 'connection-arrowhead');
 
   // Match the line color
-  const colors = {
-    influence: '#00d4ff',
-    reaction: '#ff6b00',
-    evolution: '#00ff88',
-    related: '#ff00ff'
-  };
-  polygon.setAttribute('fill', colors[type] || '#00d4ff');
+  polygon.setAttribute('fill', getConnectionTypes()[type].color);
 
   svg.appendChild(polygon);
   return polygon;
 }
 
+/**
+ * Adds the dot labelling a connection, which shows its description when hovered
+ * @param {SVGElement} svg - SVG element
+ * @param {Object} position - Center { x, y } of the dot
+ * @param {Object} edge - Connection: { from, to, type, desc }
+ * @returns {SVGElement} Created dot
+ */
+function addConnectionLabel(svg, position, edge) {
+  const label = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+  const from = findMovementById(edge.from);
+  const to = findMovementById(edge.to);
+
+  label.setAttribute('cx', position.x);
+  label.setAttribute('cy', position.y);
+  label.setAttribute('r', LABEL_RADIUS);
+  label.setAttribute('class', 'connection-label');
+  label.setAttribute('fill', getConnectionTypes()[edge.type].color);
+  label.setAttribute('data-title', `${from ? from.title : edge.from} → ${to ? to.title : edge.to}`);
+  label.setAttribute('data-desc', edge.desc);
+
+  svg.appendChild(label);
+  return label;
+}
+
 /**
  * Highlights connections for a specific movement
  * @param {string} movementId - Movement ID
@@ -362,11 +797,11 @@ function addArrowhead(svg, x, y, angle, type) {
  */
 export function highlightConnections(movementId, highlight) {
   const lines = document.querySelectorAll('.connection-line');
-  const arrowheads = document.querySelectorAll('.connection-arrowhead');
+  const arrowheads = document.querySelectorAll('.connection-arrowhead, .connection-label');
   const bars = document.querySelectorAll('.movement-bar');
 
   if (highlight) {
-    // Highlight connected bars, lines, and arrowheads
+    // Highlight connected bars, lines, arrowheads and labels
     lines.forEach(line => {
       const from = line.getAttribute('data-from');
       const to = line.getAttribute('data-to');
@@ -374,7 +809,7 @@ export function highlightConnections(movementId, highlight) {
       if (from === movementId || to === movementId) {
         line.classList.add('active');
         const connectedId = from === movementId ? to : from;
-        const connectedBar = document.querySelector(`[data-id="${connectedId}"]`);
+        const connectedBar = document.querySelector(`.movement-bar[data-id="${connectedId}"]`);
         if (connectedBar) {
           connectedBar.classList.add('highlighted');
         }
@@ -0,0 +1,294 @@
+/**
+ * Tour Module
+ * Guided tours: scripted steps (selection, zoom, scroll, highlighted connections and a caption)
+ * played on the timeline, step by step or automatically
+ */
+
+import { loadTours } from './config.js';
+import { showMovementDetails, clearSelection, highlightConnections } from './timeline.js';
+import { scrollToMovementBar, setZoomPercent } from './interactions.js';
+import { getCurrentView, setView } from './graph.js';
+import { t, localize } from './i18n.js';
+
+// Seconds a step stays on screen when playing, unless it sets its own duration
+const DEFAULT_STEP_DURATION = 6;
+
+const state = {
+  tours: [],
+  tour: null,
+  step: 0,
+  playing: false,
+  timer: null,
+  // Movements whose connections the current step highlights with highlightConnections()
+  highlighted: []
+};
+
+/**
+ * Sets up the tour button, the player and its keyboard shortcuts
+ * The button stays hidden when the dataset has no tours; `?tour=<id>` starts a tour on load
+ */
+export function setupTour() {
+  const toggleButton = document.getElementById('tour-toggle');
+  const player = document.getElementById('tour-player');
+  if (!toggleButton || !player) return;
+
+  toggleButton.addEventListener('click', () => {
+    if (state.tour) closeTour();
+    else openTour(state.tours[0]);
+  });
+
+  player.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    const action = button.getAttribute('data-action');
+    if (action === 'previous') goToStep(state.step - 1);
+    else if (action === 'next') goToStep(state.step + 1);
+    else if (action === 'play') setPlaying(!state.playing);
+    else if (action === 'close') closeTour();
+  });
+
+  player.addEventListener('change', (event) => {
+    if (event.target.matches('.tour-select')) {
+      openTour(state.tours.find(tour => tour.id === event.target.value));
+    }
+  });
+
+  document.addEventListener('keydown', handleKeydown);
+
+  // Redraws drop the highlighting: re-apply it
+  document.addEventListener('timeline:connections', highlightStep);
+  document.addEventListener('timeline:locale', renderPlayer);
+
+  loadTours().then(tours => {
+    state.tours = tours;
+    toggleButton.classList.toggle('hidden', tours.length === 0);
+
+    const requested = new URLSearchParams(window.location.search).get('tour');
+    if (requested) {
+      const tour = tours.find(entry => entry.id === requested);
+      if (tour) openTour(tour);
+      else console.warn(`Tour '${requested}' not found`);
+    }
+  });
+}
+
+/**
+ * Starts a tour at its first step
+ * @param {Object} tour - Tour from the tours file
+ */
+export function openTour(tour) {
+  if (!tour) return;
+
+  setPlaying(false);
+  state.tour = tour;
+  state.step = 0;
+
+  const player = document.getElementById('tour-player');
+  const toggleButton = document.getElementById('tour-toggle');
+  player.classList.remove('hidden');
+  toggleButton.classList.add('active');
+  toggleButton.setAttribute('aria-pressed', 'true');
+
+  goToStep(0);
+}
+
+/**
+ * Stops the tour and removes its highlighting
+ * The selection and zoom of the last step are kept
+ */
+export function closeTour() {
+  setPlaying(false);
+  clearHighlights();
+  state.tour = null;
+
+  const player = document.getElementById('tour-player');
+  const toggleButton = document.getElementById('tour-toggle');
+  player.classList.add('hidden');
+  player.innerHTML = '';
+  toggleButton.classList.remove('active');
+  toggleButton.setAttribute('aria-pressed', 'false');
+  toggleButton.focus();
+}
+
+/**
+ * Shows a step of the current tour
+ * @param {number} index - Step index (ignored when out of range)
+ */
+export function goToStep(index) {
+  if (!state.tour || index < 0 || index >= state.tour.steps.length) return;
+
+  state.step = index;
+  applyStep(state.tour.steps[index]);
+  renderPlayer();
+  scheduleNextStep();
+}
+
+/**
+ * Drives the timeline to a step: view, zoom, selection, scroll and highlighting
+ * @param {Object} step - Step from the tours file
+ */
+function applyStep(step) {
+  clearHighlights();
+
+  if (getCurrentView() !== 'timeline') setView('timeline');
+  if (step.zoom !== undefined) setZoomPercent(step.zoom);
+
+  if (step.movement) {
+    showMovementDetails(step.movement);
+  } else {
+    clearSelection();
+  }
+
+  const target = step.scroll || step.movement;
+  if (target) scrollToMovementBar(target);
+
+  highlightStep();
+
+  const author = document.querySelector('#details-sidebar .author.tour-highlight');
+  if (author) author.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Highlights the connections and the author named by the current step
+ */
+function highlightStep() {
+  if (!state.tour) return;
+  const step = state.tour.steps[state.step];
+
+  document.querySelectorAll('.tour-highlight').forEach(element => element.classList.remove('tour-highlight'));
+
+  state.highlighted = [];
+  (step.connections || []).forEach(conn => {
+    // A movement id: all its connections, as when hovering its bar
+    if (typeof conn === 'string') {
+      highlightConnections(conn, true);
+      state.highlighted.push(conn);
+      return;
+    }
+
+    document.querySelectorAll('.connection-line, .connection-arrowhead, .connection-label').forEach(shape => {
+      if (shape.getAttribute('data-from') === conn.from &&
+          shape.getAttribute('data-to') === conn.to &&
+          (!conn.type || shape.getAttribute('data-type') === conn.type)) {
+        shape.classList.add('tour-highlight');
+      }
+    });
+    [conn.from, conn.to].forEach(id => {
+      const bar = document.querySelector(`.movement-bar[data-id="${id}"]`);
+      if (bar) bar.classList.add('tour-highlight');
+    });
+  });
+
+  if (step.author) {
+    const author = document.querySelector(`#details-sidebar .author[data-author-id="${step.author}"]`);
+    if (author) author.classList.add('tour-highlight');
+  }
+}
+
+/**
+ * Removes the highlighting of the current step
+ */
+function clearHighlights() {
+  state.highlighted.forEach(id => highlightConnections(id, false));
+  state.highlighted = [];
+  document.querySelectorAll('.tour-highlight').forEach(element => element.classList.remove('tour-highlight'));
+}
+
+/**
+ * Starts or stops playing the tour automatically
+ * Playing from the last step starts over
+ * @param {boolean} playing - Whether to play
+ */
+function setPlaying(playing) {
+  state.playing = playing;
+  clearTimeout(state.timer);
+  if (!state.tour) return;
+
+  if (playing && state.step === state.tour.steps.length - 1) {
+    goToStep(0);
+    return;
+  }
+  renderPlayer();
+  scheduleNextStep();
+}
+
+/**
+ * Moves to the next step after the current one's duration, while playing
+ * Stops at the last step
+ */
+function scheduleNextStep() {
+  clearTimeout(state.timer);
+  if (!state.playing || !state.tour) return;
+
+  const step = state.tour.steps[state.step];
+  if (state.step >= state.tour.steps.length - 1) {
+    state.playing = false;
+    renderPlayer();
+    return;
+  }
+
+  state.timer = setTimeout(() => goToStep(state.step + 1), (step.duration || DEFAULT_STEP_DURATION) * 1000);
+}
+
+/**
+ * Renders the player: tour picker, caption, progress and controls
+ */
+function renderPlayer() {
+  const player = document.getElementById('tour-player');
+  if (!player || !state.tour) return;
+
+  const { tour, step: index, playing } = state;
+  const step = tour.steps[index];
+  const total = tour.steps.length;
+
+  player.innerHTML = `
+    <div class="tour-header">
+      <select class="tour-select" aria-label="${t('tour.choose')}">
+        ${state.tours.map(entry => `<option value="${entry.id}" ${entry === tour ? 'selected' : ''}>${localize(entry.title)}</option>`).join('')}
+      </select>
+      <span class="tour-step">${t('tour.progress', { step: index + 1, total })}</span>
+      <button type="button" class="overlay-close tour-close" data-action="close" aria-label="${t('tour.close')}" title="${t('tour.close')}">×</button>
+    </div>
+    <p class="tour-caption" aria-live="polite">${localize(step.caption)}</p>
+    <div class="tour-progress"><div class="tour-progress-fill" style="width: ${((index + 1) / total) * 100}%"></div></div>
+    <div class="tour-controls">
+      <button type="button" class="filter-btn" data-action="previous" ${index === 0 ? 'disabled' : ''}>${t('tour.previous')}</button>
+      <button type="button" class="filter-btn ${playing ? 'active' : ''}" data-action="play" aria-pressed="${playing}">${playing ? t('tour.pause') : t('tour.play')}</button>
+      <button type="button" class="filter-btn" data-action="next" ${index === total - 1 ? 'disabled' : ''}>${t('tour.next')}</button>
+    </div>
+    <small class="tour-hint">${t('tour.keys')}</small>
+  `;
+}
+
+/**
+ * Keyboard control while a tour is open: arrows and Page Up/Down (presentation remotes)
+ * move between steps, Space plays or pauses, Home/End jump, Escape quits
+ * @param {KeyboardEvent} event - Key event
+ */
+function handleKeydown(event) {
+  if (!state.tour || event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+
+  // Leave typing, keys handled by the focused element and open dialogs alone
+  if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+  if (document.querySelector('.overlay:not(.hidden)')) return;
+  // Space activates a focused button or link, and moves a focused slider
+  if (event.key === ' ' && event.target.closest && event.target.closest('button, a, [role="button"], [role="slider"]')) return;
+
+  const actions = {
+    ArrowRight: () => goToStep(state.step + 1),
+    PageDown: () => goToStep(state.step + 1),
+    ArrowLeft: () => goToStep(state.step - 1),
+    PageUp: () => goToStep(state.step - 1),
+    Home: () => goToStep(0),
+    End: () => goToStep(state.tour.steps.length - 1),
+    ' ': () => setPlaying(!state.playing),
+    Escape: closeTour
+  };
+
+  const action = actions[event.key];
+  if (action) {
+    event.preventDefault();
+    action();
+  }
+}
@@ -3,6 +3,8 @@
  * Helper functions for timeline rendering
  */
 
+import { t, getLocale } from './i18n.js';
+
 /**
  * Parses a period string into start and end years
  * @param {string} period - Period string (e.g., "1920-1960", "2000-présent")
@@ -28,10 +30,13 @@ export function parsePeriod(period) {
 
 /**
  * Gets the range of years across all movements
+ * Bounds are the dataset's declared ones when they fit every movement, else rounded to the tick interval
  * @param {Array} movements - Array of movement objects
- * @returns {Object} Object with min and max years
+ * @param {Object} [axis={}] - metadata.axis: { start, end, tick_interval }
+ * @returns {Object} Object with min and max years, and the tick interval
  */
-export function getYearRange(movements) {
+export function getYearRange(movements, axis = {}) {
+  const interval = axis.tick_interval || 10;
   let minYear = Infinity;
   let maxYear = -Infinity;
 
@@ -41,76 +46,35 @@ export function getYearRange(movements) {
     maxYear = Math.max(maxYear, end);
   });
 
-  // Round to nearest decade
-  minYear = Math.floor(minYear / 10) * 10;
-  maxYear = Math.ceil(maxYear / 10) * 10;
-
-  // Force timeline to start at 1880
-  minYear = Math.min(minYear, 1880);
+  // Declared bounds never hide a movement
+  minYear = axis.start !== undefined && axis.start <= minYear ? axis.start : Math.floor(minYear / interval) * interval;
+  maxYear = axis.end !== undefined && axis.end >= maxYear ? axis.end : Math.ceil(maxYear / interval) * interval;
 
-  return { minYear, maxYear };
+  return { minYear, maxYear, interval };
 }
 
 /**
- * Auto-stacking algorithm to prevent overlapping bars
- * Assigns a lane (row) to each movement to minimize overlaps
- * @param {Array} movements - Array of movement objects with parsed periods
- * @returns {Array} Array of movements with assigned lane numbers
+ * Generates tick years for the time axis: multiples of the interval within the range
+ * @param {number} minYear - Minimum year
+ * @param {number} maxYear - Maximum year
+ * @param {number} [interval=10] - Years between ticks
+ * @returns {Array} Array of tick years
  */
-export function assignLanes(movements) {
-  // Sort movements by start year, then by end year (longer spans first)
-  const sorted = [...movements].sort((a, b) => {
-    const aPeriod = parsePeriod(a.period);
-    const bPeriod = parsePeriod(b.period);
-    if (aPeriod.start !== bPeriod.start) {
-      return aPeriod.start - bPeriod.start;
-    }
-    // If same start, put longer duration first
-    return (bPeriod.end - bPeriod.start) - (aPeriod.end - aPeriod.start);
-  });
-
-  // Track occupied lanes: array of lane objects with end year
-  const lanes = [];
-
-  sorted.forEach(movement => {
-    const { start, end } = parsePeriod(movement.period);
-
-    // Find first available lane (lane where last movement ended before this starts)
-    // Add buffer of 5 years to avoid tight overlaps
-    let assignedLane = -1;
-    for (let i = 0; i < lanes.length; i++) {
-      if (lanes[i] + 5 <= start) {
-        assignedLane = i;
-        lanes[i] = end; // Update lane's end year
-        break;
-      }
-    }
-
-    // If no available lane found, create a new one
-    if (assignedLane === -1) {
-      assignedLane = lanes.length;
-      lanes.push(end);
-    }
-
-    // Add lane assignment to movement
-    movement.lane = assignedLane;
-  });
-
-  return movements;
+export function generateTicks(minYear, maxYear, interval = 10) {
+  const ticks = [];
+  for (let year = Math.ceil(minYear / interval) * interval; year <= maxYear; year += interval) {
+    ticks.push(year);
+  }
+  return ticks;
 }
 
 /**
- * Generates decade markers for the time axis
- * @param {number} minYear - Minimum year
- * @param {number} maxYear - Maximum year
- * @returns {Array} Array of decade years
+ * Shortens a movement title for zoomed-out bars: keeps the part before a " / " or " (" qualifier
+ * @param {string} title - Movement title (e.g., "Proto-SF / Scientific Romances")
+ * @returns {string} Short title (e.g., "Proto-SF")
  */
-export function generateDecades(minYear, maxYear) {
-  const decades = [];
-  for (let year = minYear; year <= maxYear; year += 10) {
-    decades.push(year);
-  }
-  return decades;
+export function abbreviateTitle(title) {
+  return String(title).split(/\s+[/(]/)[0].trim();
 }
 
 /**
@@ -126,3 +90,275 @@ export function yearToPosition(year, minYear, maxYear) {
   // Return percentage within the 300% wide container (0-100%)
   return (offset / range) * 100;
 }
+
+/**
+ * Normalizes text for accent- and case-insensitive matching
+ * @param {string} text - Text to normalize (e.g., "Œuvres", "présent")
+ * @returns {string} Lowercased text without diacritics, ligatures expanded
+ */
+export function normalizeText(text) {
+  if (text === null || text === undefined) return '';
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/œ/g, 'oe')
+    .replace(/æ/g, 'ae');
+}
+
+/**
+ * Escapes text for HTML, SVG and XML markup, content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Connection types used when the data's metadata declares none (metadata.connection_types)
+ * Labels and short names live in the message catalogs (connectionTypes.<type>.label/name)
+ * `direction` tells which end came first: 'forward' when the declaring movement is the
+ * ancestor (influence on), 'backward' when the target is (reaction against, evolution of),
+ * 'none' for undirected links
+ */
+export const DEFAULT_CONNECTION_TYPES = {
+  influence: { icon: '→', color: '#00d4ff', direction: 'forward' },
+  reaction: { icon: '⚡', color: '#ff6b00', direction: 'backward' },
+  evolution: { icon: '↗', color: '#00ff88', direction: 'backward' },
+  related: { icon: '↔', color: '#ff00ff', direction: 'none' }
+};
+
+/**
+ * Context sections used when the data's metadata declares none (metadata.context_sections)
+ * Labels live in the message catalogs (sidebar.contextFields.<section>)
+ */
+export const DEFAULT_CONTEXT_SECTIONS = {
+  historical: { icon: '📅' },
+  themes: { icon: '💭' },
+  questionnements: { icon: '🤔' },
+  scientific: { icon: '🔬' },
+  literary: { icon: '✍️' }
+};
+
+/**
+ * Gets the connection types a dataset declares
+ * @param {Object} [metadata] - Dataset metadata
+ * @returns {Object} Types keyed by id, as declared (or the defaults)
+ */
+export function getDeclaredConnectionTypes(metadata) {
+  return (metadata && metadata.connection_types) || DEFAULT_CONNECTION_TYPES;
+}
+
+/**
+ * Gets the context sections a dataset declares
+ * @param {Object} [metadata] - Dataset metadata
+ * @returns {Object} Sections keyed by id, in display order, as declared (or the defaults)
+ */
+export function getDeclaredContextSections(metadata) {
+  return (metadata && metadata.context_sections) || DEFAULT_CONTEXT_SECTIONS;
+}
+
+/**
+ * Work types allowed in structured work records
+ * Display labels live in the message catalogs (workTypes.*)
+ */
+export const WORK_TYPES = ['novel', 'novella', 'short-story', 'collection', 'series', 'film', 'tv-series', 'comic', 'game'];
+
+/**
+ * Gets the display label of a work type
+ * @param {string} type - Work type (e.g., "short-story")
+ * @returns {string} Translated label, or the type itself if unknown
+ */
+export function formatWorkType(type) {
+  return WORK_TYPES.includes(type) ? t(`workTypes.${type}`) : type;
+}
+
+/**
+ * Parses a work into a structured record
+ * Accepts structured objects and legacy "Title (Author, Year)" strings
+ * @param {Object|string} work - Work object or legacy string (e.g., "Neuromancien (Gibson, 1984)")
+ * @returns {Object} Work with title, original_title, author, year, end_year and type (null when unknown)
+ */
+export function parseWork(work) {
+  if (work && typeof work === 'object') {
+    return {
+      title: work.title || '',
+      original_title: work.original_title || null,
+      author: work.author || null,
+      year: typeof work.year === 'number' ? work.year : null,
+      end_year: typeof work.end_year === 'number' ? work.end_year : null,
+      type: work.type || null
+    };
+  }
+
+  const text = String(work || '').trim();
+
+  // "Title (Author, 1984)" or "Title (Author, 1951-1993)" / "Title (Author, 1986-présent)"
+  const match = text.match(/^(.*\S)\s*\(([^()]+),\s*(\d{4})(?:\s*-\s*(\d{4}|présent|present))?\)$/i);
+  if (!match) {
+    return { title: text, original_title: null, author: null, year: null, end_year: null, type: null };
+  }
+
+  const [, title, author, startYear, endYear] = match;
+  let end = null;
+  if (endYear) {
+    end = /^\d{4}$/.test(endYear) ? parseInt(endYear, 10) : new Date().getFullYear();
+  }
+
+  return {
+    title,
+    original_title: null,
+    author: author.trim(),
+    year: parseInt(startYear, 10),
+    end_year: end,
+    type: null
+  };
+}
+
+/**
+ * Parses and sorts the works of a movement by year (undated works last)
+ * @param {Array} works - Array of work objects or legacy strings
+ * @returns {Array} Parsed works sorted by year, then title, each with its original `index`
+ */
+export function getSortedWorks(works) {
+  return (works || [])
+    .map((work, index) => ({ ...parseWork(work), index }))
+    .sort((a, b) => {
+      if (a.year === null && b.year === null) return a.title.localeCompare(b.title);
+      if (a.year === null) return 1;
+      if (b.year === null) return -1;
+      return a.year - b.year || a.title.localeCompare(b.title);
+    });
+}
+
+/**
+ * Finds the author a work refers to
+ * Matches the author id, the full name, or a surname as used in legacy strings ("Le Guin")
+ * @param {string} reference - Author reference from a work
+ * @param {Array} authors - Authors of the movement
+ * @returns {Object|null} Matching author or null
+ */
+export function resolveWorkAuthor(reference, authors) {
+  if (!reference || !Array.isArray(authors)) return null;
+
+  const byId = authors.find(author => author.id === reference);
+  if (byId) return byId;
+
+  const ref = normalizeText(reference);
+  const exact = authors.find(author => normalizeText(author.name) === ref);
+  if (exact) return exact;
+
+  const escaped = ref.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const wordMatch = new RegExp(`(^|[\\s.])${escaped}($|[\\s.(])`);
+  return authors.find(author => wordMatch.test(normalizeText(author.name))) || null;
+}
+
+/**
+ * Formats a work as a single line of text (for search and exports)
+ * @param {Object|string} work - Work object or legacy string
+ * @returns {string} "Title (Original title) – Author, Year"
+ */
+export function formatWork(work) {
+  const parsed = parseWork(work);
+  let text = parsed.title;
+  if (parsed.original_title) text += ` (${parsed.original_title})`;
+  const details = [parsed.author, parsed.year].filter(Boolean).join(', ');
+  return details ? `${text} – ${details}` : text;
+}
+
+/**
+ * Builds a kebab-case identifier from a name
+ * @param {string} name - Name to convert (e.g., "Ursula K. Le Guin")
+ * @returns {string} Identifier (e.g., "ursula-k-le-guin")
+ */
+export function slugify(name) {
+  return normalizeText(String(name || '').replace(/\(.*?\)/g, ''))
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Formats an author's life span
+ * @param {Object} author - Author with optional birth_year and death_year
+ * @returns {string} Life span (e.g., "1929–2018", "né·e en 1952") or empty string
+ */
+export function formatLifeSpan(author) {
+  if (author.birth_year && author.death_year) return `${author.birth_year}–${author.death_year}`;
+  if (author.birth_year) return t('authors.born', { year: author.birth_year });
+  if (author.death_year) return t('authors.died', { year: author.death_year });
+  return '';
+}
+
+/**
+ * Formats a nationality code as a country name
+ * @param {string} code - ISO 3166-1 alpha-2 code (e.g., "FR")
+ * @returns {string} Country name in the current language, or the code if unknown
+ */
+export function formatNationality(code) {
+  if (!code) return '';
+  try {
+    return new Intl.DisplayNames([getLocale()], { type: 'region' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * Known author genders, in display order
+ * Any other non-empty value is accepted and shown as-is
+ * Labels live in the message catalogs (genders.*)
+ */
+export const GENDERS = {
+  F: { symbol: '♀' },
+  M: { symbol: '♂' },
+  NB: { symbol: '⚧' },
+  U: { symbol: '?' }
+};
+
+export const UNKNOWN_GENDER = 'U';
+
+/**
+ * Gets display information for a gender value
+ * @param {string} [gender] - Gender value (missing means unknown)
+ * @returns {Object} Object with key, label, symbol and className
+ */
+export function getGenderInfo(gender) {
+  const key = gender || UNKNOWN_GENDER;
+  const known = GENDERS[key];
+
+  return {
+    key,
+    label: known ? t(`genders.${key}`) : key,
+    symbol: known ? known.symbol : '⚬',
+    className: known ? `gender-${key.toLowerCase()}` : 'gender-other'
+  };
+}
+
+/**
+ * Counts authors by gender
+ * @param {Array} authors - Author objects
+ * @returns {Array} Non-zero counts ({ key, label, symbol, className, count }), known genders first
+ */
+export function countAuthorsByGender(authors) {
+  const counts = new Map();
+
+  (authors || []).forEach(author => {
+    const key = author.gender || UNKNOWN_GENDER;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const knownOrder = Object.keys(GENDERS);
+  return Array.from(counts.entries())
+    .sort(([a], [b]) => {
+      const aIndex = knownOrder.includes(a) ? knownOrder.indexOf(a) : knownOrder.length;
+      const bIndex = knownOrder.includes(b) ? knownOrder.indexOf(b) : knownOrder.length;
+      return aIndex - bIndex || a.localeCompare(b);
+    })
+    .map(([key, count]) => ({ ...getGenderInfo(key), count }));
+}
@@ -1,104 +1,605 @@
 /**
  * Data Validation Module
- * Validates movement configuration data to ensure correctness
+ * Validates movement configuration data against config/movements.schema.json (and guided tours
+ * against config/tours.schema.json), then checks what the schema cannot express (unique ids,
+ * references, consistency)
  */
 
+import { UNKNOWN_GENDER, getDeclaredConnectionTypes, getDeclaredContextSections, slugify } from './utils.js';
+
 /**
- * Validates movement data structure
- * @param {Array} movements - Array of movement objects
- * @returns {Array} Array of error messages (empty if valid)
+ * Validates the configuration data
+ * Issues are { path, message } objects where `path` is a JSON pointer
+ * (e.g., "/movements/3/authors/1/gender"); with the source text they also get `line` and `column`
+ * @param {Object} data - Parsed movements.json
+ * @param {Object} schema - Parsed movements.schema.json
+ * @param {string} [source] - Raw JSON text, to locate issues
+ * @returns {Object} { errors, warnings }
  */
-export function validateMovementData(movements) {
-  const errors = [];
-  const ids = new Set();
+export function validateMovementData(data, schema, source) {
+  const result = { errors: [], warnings: [] };
+
+  validateAgainstSchema(data, schema, schema, '', result);
+  validateReferences(data, result);
 
-  if (!Array.isArray(movements)) {
-    errors.push('Movements data must be an array');
-    return errors;
+  if (source) {
+    const locations = locateJsonPointers(source);
+    [...result.errors, ...result.warnings].forEach(issue => {
+      Object.assign(issue, findLocation(locations, issue.path));
+    });
   }
 
-  movements.forEach((movement, idx) => {
-    // Required fields
-    if (!movement.id) {
-      errors.push(`Movement ${idx}: missing 'id' field`);
-    } else {
-      // Check for duplicate IDs
-      if (ids.has(movement.id)) {
-        errors.push(`Duplicate movement ID: '${movement.id}'`);
+  return result;
+}
+
+/**
+ * Validates guided tours against the dataset they walk through
+ * @param {Object} tours - Parsed tours file
+ * @param {Object} schema - Parsed tours.schema.json
+ * @param {Object} data - Parsed movements.json the tours refer to
+ * @param {string} [source] - Raw JSON text of the tours, to locate issues
+ * @returns {Object} { errors, warnings }
+ */
+export function validateTourData(tours, schema, data, source) {
+  const result = { errors: [], warnings: [] };
+
+  validateAgainstSchema(tours, schema, schema, '', result);
+  validateTourReferences(tours, data, result);
+
+  if (source) {
+    const locations = locateJsonPointers(source);
+    [...result.errors, ...result.warnings].forEach(issue => {
+      Object.assign(issue, findLocation(locations, issue.path));
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Validates a value against a JSON Schema (draft-07 subset)
+ * Supported: $ref (local), type, enum, const, pattern, minLength, minimum, maximum,
+ * required, properties, patternProperties, additionalProperties, propertyNames,
+ * minProperties, items, minItems, anyOf, plus the `x-warning` and `errorMessage` extensions
+ * @param {*} value - Value to validate
+ * @param {Object|boolean} schema - Schema to apply
+ * @param {Object} root - Root schema, to resolve $ref
+ * @param {string} path - JSON pointer of the value
+ * @param {Object} result - { errors, warnings } to append to
+ */
+export function validateAgainstSchema(value, schema, root, path, result) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    result.errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+
+  // Siblings of $ref are ignored, as in draft-07
+  if (schema.$ref) {
+    validateAgainstSchema(value, resolveRef(schema.$ref, root), root, path, result);
+    return;
+  }
+
+  // Failures of this schema's own checks, reported once with errorMessage when given
+  const own = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    own.push(`must be ${describeType(schema.type)}`);
+  } else {
+    if (schema.enum && !schema.enum.includes(value)) {
+      own.push(`must be one of: ${schema.enum.join(', ')}`);
+    }
+    if ('const' in schema && value !== schema.const) {
+      own.push(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) own.push('is too short');
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) own.push(`must match ${schema.pattern}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) own.push(`must be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) own.push(`must be at most ${schema.maximum}`);
+    }
+
+    if (isPlainObject(value)) {
+      if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+        own.push('must not be empty');
       }
-      ids.add(movement.id);
+      validateObject(value, schema, root, path, result);
     }
 
-    if (!movement.title) errors.push(`Movement ${idx}: missing 'title' field`);
-    if (!movement.period) errors.push(`Movement ${idx}: missing 'period' field`);
-    if (typeof movement.year !== 'number') {
-      errors.push(`Movement ${idx}: 'year' must be a number`);
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        own.push(`must have at least ${schema.minItems} item${schema.minItems > 1 ? 's' : ''}`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          validateAgainstSchema(item, schema.items, root, `${path}/${index}`, result);
+        });
+      }
     }
-    if (!movement.description) errors.push(`Movement ${idx}: missing 'description' field`);
 
-    // Context validation
-    if (movement.context) {
-      const requiredContextFields = ['historical', 'themes', 'questionnements', 'scientific', 'literary'];
-      requiredContextFields.forEach(field => {
-        if (!movement.context[field]) {
-          errors.push(`Movement ${idx} (${movement.id}): missing context.${field}`);
-        }
+    if (schema.anyOf) {
+      const branch = pickBranch(value, schema.anyOf, root, path);
+      if (branch.errors.length === 0 || !schema.errorMessage) {
+        result.errors.push(...branch.errors);
+        result.warnings.push(...branch.warnings);
+      } else {
+        own.push(schema.errorMessage);
+      }
+    }
+  }
+
+  if (own.length > 0) {
+    const messages = schema.errorMessage ? [schema.errorMessage] : own;
+    messages.forEach(message => result.errors.push({ path, message }));
+  } else if (schema['x-warning']) {
+    result.warnings.push({ path, message: schema['x-warning'] });
+  }
+}
+
+/**
+ * Validates the properties of an object
+ * @param {Object} value - Object to validate
+ * @param {Object} schema - Object schema
+ * @param {Object} root - Root schema
+ * @param {string} path - JSON pointer of the object
+ * @param {Object} result - { errors, warnings } to append to
+ */
+function validateObject(value, schema, root, path, result) {
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined) {
+      result.errors.push({ path: `${path}/${escapePointer(key)}`, message: 'is required' });
+    }
+  });
+
+  Object.entries(value).forEach(([key, propertyValue]) => {
+    const propertyPath = `${path}/${escapePointer(key)}`;
+
+    if (schema.propertyNames) {
+      const nameResult = { errors: [], warnings: [] };
+      validateAgainstSchema(key, schema.propertyNames, root, propertyPath, nameResult);
+      nameResult.errors.forEach(error => {
+        result.errors.push({ path: propertyPath, message: `key ${error.message}` });
       });
     }
 
-    // Authors validation
-    if (!Array.isArray(movement.authors) || movement.authors.length === 0) {
-      errors.push(`Movement ${idx} (${movement.id}): must have at least one author`);
-    } else {
-      movement.authors.forEach((author, authorIdx) => {
-        if (!author.name) {
-          errors.push(`Movement ${idx} (${movement.id}), author ${authorIdx}: missing 'name'`);
+    let matched = false;
+
+    if (schema.properties && key in schema.properties) {
+      matched = true;
+      validateAgainstSchema(propertyValue, schema.properties[key], root, propertyPath, result);
+    }
+
+    Object.entries(schema.patternProperties || {}).forEach(([pattern, propertySchema]) => {
+      if (new RegExp(pattern, 'u').test(key)) {
+        matched = true;
+        validateAgainstSchema(propertyValue, propertySchema, root, propertyPath, result);
+      }
+    });
+
+    if (!matched && schema.additionalProperties !== undefined) {
+      validateAgainstSchema(propertyValue, schema.additionalProperties, root, propertyPath, result);
+    }
+  });
+}
+
+/**
+ * Picks the anyOf branch to report
+ * The first valid branch wins; otherwise the closest one (right type, fewest errors)
+ * @param {*} value - Value to validate
+ * @param {Array} branches - anyOf subschemas
+ * @param {Object} root - Root schema
+ * @param {string} path - JSON pointer of the value
+ * @returns {Object} { errors, warnings } of the chosen branch
+ */
+function pickBranch(value, branches, root, path) {
+  const candidates = branches.map(branch => {
+    const branchResult = { errors: [], warnings: [] };
+    validateAgainstSchema(value, branch, root, path, branchResult);
+
+    let resolved = branch;
+    while (resolved && resolved.$ref) resolved = resolveRef(resolved.$ref, root);
+    const typeMismatch = Boolean(resolved && resolved.type && !matchesType(value, resolved.type));
+
+    return { ...branchResult, typeMismatch, type: resolved && resolved.type };
+  });
+
+  const valid = candidates.find(candidate => candidate.errors.length === 0);
+  if (valid) return valid;
+
+  // Wrong type for every branch: list the accepted types
+  if (candidates.every(candidate => candidate.typeMismatch)) {
+    const types = [...new Set(candidates.flatMap(candidate => candidate.type))];
+    return { errors: [{ path, message: `must be ${describeType(types)}` }], warnings: [] };
+  }
+
+  return candidates.sort((a, b) =>
+    (a.typeMismatch - b.typeMismatch) || (a.errors.length - b.errors.length)
+  )[0];
+}
+
+/**
+ * Resolves a local $ref ("#/definitions/name")
+ * @param {string} ref - Reference
+ * @param {Object} root - Root schema
+ * @returns {Object} Referenced schema
+ * @throws {Error} If the reference cannot be resolved
+ */
+export function resolveRef(ref, root) {
+  const target = ref.replace(/^#/, '').split('/').filter(Boolean).reduce(
+    (node, part) => (node ? node[unescapePointer(part)] : undefined),
+    root
+  );
+  if (target === undefined) throw new Error(`Schema reference not found: ${ref}`);
+  return target;
+}
+
+/**
+ * Checks a value against a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string|Array} type - Type name or list of type names
+ * @returns {boolean} True if the value has one of the types
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(name => {
+    switch (name) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'object': return isPlainObject(value);
+      case 'array': return Array.isArray(value);
+      case 'null': return value === null;
+      default: return typeof value === name;
+    }
+  });
+}
+
+/**
+ * Describes a JSON Schema type for messages
+ * @param {string|Array} type - Type name or list of type names
+ * @returns {string} Description (e.g., "an integer")
+ */
+function describeType(type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.map(name => (/^[aeiou]/.test(name) ? `an ${name}` : `a ${name}`)).join(' or ');
+}
+
+/**
+ * Checks for a plain (non-array, non-null) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks what the schema cannot express: unique ids, references and consistency
+ * @param {Object} data - Parsed movements.json
+ * @param {Object} result - { errors, warnings } to append to
+ */
+function validateReferences(data, result) {
+  const movements = Array.isArray(data && data.movements) ? data.movements : [];
+  const authors = isPlainObject(data && data.authors) ? data.authors : {};
+  const metadata = isPlainObject(data && data.metadata) ? data.metadata : {};
+  const connectionTypes = isPlainObject(metadata.connection_types) ? metadata.connection_types : getDeclaredConnectionTypes();
+  const contextSections = isPlainObject(metadata.context_sections) ? metadata.context_sections : getDeclaredContextSections();
+  const error = (path, message) => result.errors.push({ path, message });
+  const warning = (path, message) => result.warnings.push({ path, message });
+
+  // Registry: unique names, plausible life span
+  const names = new Map();
+  Object.entries(authors).forEach(([id, author]) => {
+    if (!isPlainObject(author)) return;
+    const path = `/authors/${escapePointer(id)}`;
+
+    if (author.name && names.has(author.name)) {
+      error(`${path}/name`, `same name as '${names.get(author.name)}'`);
+    } else if (author.name) {
+      names.set(author.name, id);
+    }
+    if (Number.isInteger(author.birth_year) && Number.isInteger(author.death_year) && author.death_year < author.birth_year) {
+      error(`${path}/death_year`, "is before 'birth_year'");
+    }
+  });
+
+  // Movements: unique ids, known authors, declared context sections, dated series
+  const ids = new Set();
+  const inlineGenders = new Map();
+
+  movements.forEach((movement, idx) => {
+    if (!isPlainObject(movement)) return;
+    const path = `/movements/${idx}`;
+
+    if (typeof movement.id === 'string') {
+      if (ids.has(movement.id)) error(`${path}/id`, `duplicate movement id '${movement.id}'`);
+      ids.add(movement.id);
+    }
+
+    const seenAuthors = new Set();
+    (Array.isArray(movement.authors) ? movement.authors : []).forEach((author, authorIdx) => {
+      if (!isPlainObject(author)) return;
+      const authorPath = `${path}/authors/${authorIdx}`;
+
+      if (author.id) {
+        if (!authors[author.id]) {
+          error(`${authorPath}/id`, `unknown author '${author.id}' (not in authors registry)`);
+        }
+      } else if (author.name) {
+        // Legacy inline author: keep genders consistent with the registry and other movements
+        const registered = Object.entries(authors).find(([, entry]) => entry && entry.name === author.name);
+        if (registered && !sameGender(registered[1].gender, author.gender)) {
+          error(`${authorPath}/gender`, `gender of '${author.name}' inconsistent with authors registry ('${registered[0]}')`);
         }
-        if (!author.gender || !['M', 'F'].includes(author.gender)) {
-          errors.push(`Movement ${idx} (${movement.id}), author ${authorIdx}: 'gender' must be 'M' or 'F'`);
+        if (inlineGenders.has(author.name) && !sameGender(inlineGenders.get(author.name), author.gender)) {
+          error(`${authorPath}/gender`, `gender of '${author.name}' inconsistent with another movement`);
+        }
+        inlineGenders.set(author.name, author.gender);
+      }
+
+      const key = author.id || author.name;
+      if (key && seenAuthors.has(key)) error(authorPath, `duplicate author '${key}'`);
+      seenAuthors.add(key);
+    });
+
+    if (isPlainObject(movement.context)) {
+      Object.keys(contextSections).forEach(section => {
+        if (movement.context[section] === undefined) error(`${path}/context/${escapePointer(section)}`, 'is required');
+      });
+      Object.keys(movement.context).forEach(section => {
+        if (!contextSections[section]) {
+          warning(`${path}/context/${escapePointer(section)}`, 'unknown context section, not shown in the sidebar');
         }
       });
     }
 
-    // Works validation
-    if (!Array.isArray(movement.works) || movement.works.length === 0) {
-      errors.push(`Movement ${idx} (${movement.id}): must have at least one work`);
-    }
+    (Array.isArray(movement.works) ? movement.works : []).forEach((work, workIdx) => {
+      if (isPlainObject(work) && Number.isInteger(work.year) && Number.isInteger(work.end_year) && work.end_year < work.year) {
+        error(`${path}/works/${workIdx}/end_year`, "is before 'year'");
+      }
+    });
   });
 
-  // Second pass: validate connection references
+  // Connection types must be declared and targets must exist
   movements.forEach((movement, idx) => {
-    if (movement.connections) {
-      const connectionTypes = ['influence', 'reaction', 'evolution', 'related'];
-      connectionTypes.forEach(type => {
-        if (movement.connections[type]) {
-          movement.connections[type].forEach(conn => {
-            if (!conn.to) {
-              errors.push(`Movement ${idx} (${movement.id}): connection missing 'to' field`);
-            } else if (!ids.has(conn.to)) {
-              errors.push(`Movement ${idx} (${movement.id}): invalid connection to '${conn.to}' (no such movement)`);
-            }
-            if (!conn.desc) {
-              errors.push(`Movement ${idx} (${movement.id}): connection to '${conn.to}' missing 'desc' field`);
-            }
-          });
+    if (!isPlainObject(movement) || !isPlainObject(movement.connections)) return;
+
+    Object.entries(movement.connections).forEach(([type, connections]) => {
+      if (!connectionTypes[type]) {
+        error(`/movements/${idx}/connections/${escapePointer(type)}`, `unknown connection type '${type}' (not in metadata.connection_types)`);
+      }
+      if (!Array.isArray(connections)) return;
+      connections.forEach((conn, connIdx) => {
+        if (isPlainObject(conn) && typeof conn.to === 'string' && !ids.has(conn.to)) {
+          error(`/movements/${idx}/connections/${escapePointer(type)}/${connIdx}/to`, `invalid connection to '${conn.to}' (no such movement)`);
         }
       });
+    });
+  });
+}
+
+/**
+ * Checks that tours only refer to movements, authors and connections of the dataset
+ * @param {Object} tours - Parsed tours file
+ * @param {Object} data - Parsed movements.json
+ * @param {Object} result - { errors, warnings } to append to
+ */
+function validateTourReferences(tours, data, result) {
+  const movements = new Map((Array.isArray(data && data.movements) ? data.movements : [])
+    .filter(isPlainObject)
+    .map(movement => [movement.id, movement]));
+  const registry = isPlainObject(data && data.authors) ? data.authors : {};
+  const error = (path, message) => result.errors.push({ path, message });
+  const warning = (path, message) => result.warnings.push({ path, message });
+
+  // Inline authors get the id of the registry entry with their name, else a slug of it
+  const authorIdOf = ref => {
+    if (!isPlainObject(ref)) return null;
+    if (ref.id) return ref.id;
+    const registered = Object.entries(registry).find(([, author]) => author && author.name === ref.name);
+    return registered ? registered[0] : slugify(ref.name || '');
+  };
+  const authorsOf = movement => (Array.isArray(movement.authors) ? movement.authors : []).map(authorIdOf);
+  const allAuthors = new Set([...Object.keys(registry), ...[...movements.values()].flatMap(authorsOf)]);
+
+  const checkMovement = (path, id) => {
+    if (typeof id === 'string' && !movements.has(id)) error(path, `unknown movement '${id}'`);
+  };
+
+  const ids = new Set();
+  (Array.isArray(tours && tours.tours) ? tours.tours : []).forEach((tour, tourIdx) => {
+    if (!isPlainObject(tour)) return;
+    const path = `/tours/${tourIdx}`;
+
+    if (typeof tour.id === 'string') {
+      if (ids.has(tour.id)) error(`${path}/id`, `duplicate tour id '${tour.id}'`);
+      ids.add(tour.id);
     }
+
+    (Array.isArray(tour.steps) ? tour.steps : []).forEach((step, stepIdx) => {
+      if (!isPlainObject(step)) return;
+      const stepPath = `${path}/steps/${stepIdx}`;
+
+      checkMovement(`${stepPath}/movement`, step.movement);
+      checkMovement(`${stepPath}/scroll`, step.scroll);
+
+      if (typeof step.author === 'string') {
+        const movement = movements.get(step.movement);
+        if (!allAuthors.has(step.author)) {
+          error(`${stepPath}/author`, `unknown author '${step.author}'`);
+        } else if (!movement) {
+          warning(`${stepPath}/author`, "only highlighted with a 'movement'");
+        } else if (!authorsOf(movement).includes(step.author)) {
+          warning(`${stepPath}/author`, `not an author of '${step.movement}', not highlighted`);
+        }
+      }
+
+      (Array.isArray(step.connections) ? step.connections : []).forEach((conn, connIdx) => {
+        const connPath = `${stepPath}/connections/${connIdx}`;
+        if (typeof conn === 'string') {
+          checkMovement(connPath, conn);
+          return;
+        }
+        if (!isPlainObject(conn) || typeof conn.from !== 'string' || typeof conn.to !== 'string') return;
+
+        const from = movements.get(conn.from);
+        const declared = from && isPlainObject(from.connections) ? Object.entries(from.connections) : [];
+        const exists = declared.some(([type, list]) =>
+          (!conn.type || type === conn.type) && Array.isArray(list) && list.some(item => item && item.to === conn.to)
+        );
+        if (!exists) {
+          error(connPath, `no ${conn.type ? `'${conn.type}' ` : ''}connection from '${conn.from}' to '${conn.to}'`);
+        }
+      });
+    });
   });
+}
+
+/**
+ * Compares two gender values, treating a missing gender as unknown
+ * @param {string} [a] - First gender
+ * @param {string} [b] - Second gender
+ * @returns {boolean} True if both denote the same gender
+ */
+function sameGender(a, b) {
+  return (a || UNKNOWN_GENDER) === (b || UNKNOWN_GENDER);
+}
 
-  return errors;
+/**
+ * Escapes a key for use in a JSON pointer
+ * @param {string} key - Object key
+ * @returns {string} Escaped pointer segment
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
 }
 
 /**
- * Logs validation errors to console
- * @param {Array} errors - Array of error messages
+ * Unescapes a JSON pointer segment
+ * @param {string} segment - Pointer segment
+ * @returns {string} Object key
  */
-export function logValidationErrors(errors) {
+function unescapePointer(segment) {
+  return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * Maps every value of a JSON document to its position in the text
+ * @param {string} text - Valid JSON text
+ * @returns {Map<string, Object>} JSON pointer → { line, column } (1-based)
+ */
+export function locateJsonPointers(text) {
+  const locations = new Map();
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const skipWhitespace = () => {
+    while (index < text.length && /\s/.test(text[index])) {
+      if (text[index] === '\n') {
+        line++;
+        lineStart = index + 1;
+      }
+      index++;
+    }
+  };
+
+  // Strings cannot contain raw line breaks: no line tracking needed inside
+  const readString = () => {
+    const start = index;
+    index++;
+    while (index < text.length && text[index] !== '"') {
+      index += text[index] === '\\' ? 2 : 1;
+    }
+    index++;
+    return JSON.parse(text.slice(start, index));
+  };
+
+  const readValue = (pointer) => {
+    skipWhitespace();
+    locations.set(pointer, { line, column: index - lineStart + 1 });
+
+    const char = text[index];
+    if (char === '{' || char === '[') {
+      const isObject = char === '{';
+      const close = isObject ? '}' : ']';
+      let position = 0;
+      index++;
+      skipWhitespace();
+
+      while (index < text.length && text[index] !== close) {
+        if (isObject) {
+          const key = readString();
+          skipWhitespace();
+          index++; // ':'
+          readValue(`${pointer}/${escapePointer(key)}`);
+        } else {
+          readValue(`${pointer}/${position++}`);
+        }
+        skipWhitespace();
+        if (text[index] === ',') {
+          index++;
+          skipWhitespace();
+        }
+      }
+      index++;
+    } else if (char === '"') {
+      readString();
+    } else {
+      // Number, true, false or null
+      while (index < text.length && !/[\s,\]}]/.test(text[index])) index++;
+    }
+  };
+
+  readValue('');
+  return locations;
+}
+
+/**
+ * Finds the position of a JSON pointer, or of its closest existing parent
+ * @param {Map<string, Object>} locations - Result of locateJsonPointers()
+ * @param {string} path - JSON pointer
+ * @returns {Object} { line, column }, or an empty object if unknown
+ */
+function findLocation(locations, path) {
+  let pointer = path;
+  while (!locations.has(pointer) && pointer) {
+    pointer = pointer.slice(0, pointer.lastIndexOf('/'));
+  }
+  return locations.get(pointer) || {};
+}
+
+/**
+ * Formats an issue as a single line
+ * @param {Object} issue - { path, message, line?, column? }
+ * @returns {string} e.g. "/movements/3/year (line 120, col 15): must be an integer"
+ */
+export function formatIssue(issue) {
+  const where = issue.line ? ` (line ${issue.line}, col ${issue.column})` : '';
+  return `${issue.path || '/'}${where}: ${issue.message}`;
+}
+
+/**
+ * Logs validation errors and warnings to console
+ * @param {Object} result - { errors, warnings } from validateMovementData()
+ */
+export function logValidationErrors(result) {
+  const { errors = [], warnings = [] } = result;
+
+  if (warnings.length > 0) {
+    console.warn('⚠️ Configuration Validation Warnings:');
+    warnings.forEach((warning, idx) => {
+      console.warn(`  ${idx + 1}. ${formatIssue(warning)}`);
+    });
+  }
+
   if (errors.length > 0) {
     console.error('❌ Configuration Validation Errors:');
     errors.forEach((error, idx) => {
-      console.error(`  ${idx + 1}. ${error}`);
+      console.error(`  ${idx + 1}. ${formatIssue(error)}`);
     });
   } else {
     console.log('✅ Configuration validation passed');
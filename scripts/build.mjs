@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Static Build Command
+ * Writes a pre-rendered copy of the site, readable without JavaScript and by search engines
+ *
+ * Usage: node scripts/build.mjs [--out <dir>] [--dataset <id>]
+ *   --out       Output directory (default: dist)
+ *   --dataset   Dataset to pre-render, from config/datasets.json (default: the default dataset)
+ *
+ * The timeline and one section per movement (#movement-<id>) are rendered with the same
+ * templates as the page; app.js then hydrates the markup instead of replacing it.
+ * Every dataset is copied: `?dataset=` still switches to the others, rendered in the browser.
+ *
+ * Exit codes: 0 built, 1 validation errors, 2 unreadable input
+ */
+
+import { cpSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { initConfig, getMetadata, getMovements, selectDataset } from '../js/config.js';
+import { renderTimelineHTML, renderMovementDetailsHTML } from '../js/timeline.js';
+import { getLocale, t } from '../js/i18n.js';
+import { escapeXML } from '../js/utils.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Files and directories served by the site
+const ASSETS = ['css', 'js', 'config'];
+
+// Root files published before the build existed, kept at their URLs: the original fresco
+// and the screenshots
+const LEGACY_FILES = [
+  'fresque_sf_finale.html',
+  'Screenshot 2025-12-25 at 01.14.21.png',
+  'Screenshot 2025-12-25 at 01.17.49.png'
+];
+
+/**
+ * Parses command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { out, dataset, help }
+ */
+function parseArgs(args) {
+  const options = { out: join(ROOT, 'dist'), dataset: null, help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--out') options.out = resolve(args[++i] || '');
+    else if (arg === '--dataset') options.dataset = args[++i];
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return options;
+}
+
+/**
+ * Reads config/datasets.json and picks a dataset
+ * @param {string} [id] - Dataset id (default: the manifest's default dataset)
+ * @returns {Object} Dataset entry ({ id, file, title })
+ * @throws {Error} If the manifest cannot be read or does not list the dataset
+ */
+function readDataset(id) {
+  const manifest = JSON.parse(readFileSync(join(ROOT, 'config/datasets.json'), 'utf8'));
+  const ids = (manifest.datasets || []).map(dataset => dataset.id);
+  if (id && !ids.includes(id)) throw new Error(`Unknown dataset: ${id} (expected ${ids.join(', ')})`);
+  return selectDataset(manifest, id);
+}
+
+/**
+ * Builds the sections read without JavaScript: contents, then one section per movement
+ * @param {Array} movements - Localized movements
+ * @returns {string} HTML string
+ */
+function renderStaticMovements(movements) {
+  return `
+    <div class="static-movements" id="static-movements">
+      <nav class="static-contents" aria-labelledby="static-contents-title">
+        <h2 id="static-contents-title">${t('staticPage.contents')}</h2>
+        ${movements.map(movement => `<a href="#movement-${movement.id}">${movement.title}</a>`).join('\n        ')}
+      </nav>
+      ${movements.map(movement => `
+      <section class="static-movement" id="movement-${movement.id}">
+        ${renderMovementDetailsHTML(movement)}
+        <a class="static-back" href="#">${t('staticPage.backToTop')}</a>
+      </section>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Fills index.html with the rendered timeline, page metadata and static sections
+ * @param {string} html - Contents of index.html
+ * @param {Object} dataset - Dataset entry, named on the timeline for app.js
+ * @returns {string} Pre-rendered page
+ */
+function renderPage(html, dataset) {
+  const metadata = getMetadata();
+  const movements = getMovements();
+  const title = metadata.title || t('app.title');
+  const subtitle = metadata.subtitle || t('app.subtitle');
+  const description = `${title} : ${movements.map(movement => movement.title).join(', ')}`;
+
+  // Function replacements keep `$` in the data literal
+  const replacements = [
+    [/<title>[\s\S]*?<\/title>/, () => `<title>${escapeXML(title)}</title>\n    <meta name="description" content="${escapeXML(description)}">`],
+    [/<body>/, () => '<body class="static-page">'],
+    [/<h1>[\s\S]*?<\/h1>/, () => `<h1>🌌 ${escapeXML(title)} 🚀</h1>`],
+    [/(<p class="subtitle"[^>]*>)[\s\S]*?(<\/p>)/, (match, open, close) => `${open}${escapeXML(subtitle)}${close}`],
+    [
+      /<div class="timeline-container" id="timeline">[\s\S]*?<\/div>/,
+      () => `<div class="timeline-container sidebar-hidden" id="timeline" data-prerendered="${getLocale()}" data-dataset="${dataset.id}">${renderTimelineHTML(movements)}</div>\n${renderStaticMovements(movements)}`
+    ]
+  ];
+
+  return replacements.reduce((page, [pattern, replace]) => {
+    if (!pattern.test(page)) throw new Error(`index.html: no match for ${pattern}`);
+    return page.replace(pattern, replace);
+  }, html);
+}
+
+/**
+ * Runs the command
+ * @returns {number} Exit code
+ */
+function main() {
+  let options;
+  let dataset;
+  let html;
+  let source;
+  let schema;
+
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      console.log('Usage: node scripts/build.mjs [--out <dir>] [--dataset <id>]');
+      return 0;
+    }
+    dataset = readDataset(options.dataset);
+    html = readFileSync(join(ROOT, 'index.html'), 'utf8');
+    source = readFileSync(join(ROOT, 'config', dataset.file), 'utf8');
+    schema = JSON.parse(readFileSync(join(ROOT, 'config/movements.schema.json'), 'utf8'));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  try {
+    initConfig(source, schema);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  const page = renderPage(html, dataset);
+
+  rmSync(options.out, { recursive: true, force: true });
+  mkdirSync(options.out, { recursive: true });
+  [...ASSETS, ...LEGACY_FILES].forEach(asset => cpSync(join(ROOT, asset), join(options.out, asset), { recursive: true }));
+  writeFileSync(join(options.out, 'index.html'), page);
+
+  console.log(`✅ Built ${getMovements().length} movements of '${dataset.id}' into ${relative(process.cwd(), options.out) || options.out}`);
+  return 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Data Export Command
+ * Writes the dataset as CSV tables, JSON-LD, GraphML and BibTeX, with the same code as the page
+ *
+ * Usage: node scripts/export.mjs [--out <dir>] [--dataset <id>] [--format <format>] [--lang <code>]
+ *   --out      Output directory (default: exports)
+ *   --dataset  Dataset from config/datasets.json (default: the default dataset)
+ *   --format   Only this format: csv, jsonld, graphml or bibtex (repeatable; default: all)
+ *   --lang     Language of translated fields (default: fr)
+ *
+ * Exit codes: 0 exported, 1 validation errors, 2 unreadable input or bad options
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { initConfig, getConfigData, selectDataset } from '../js/config.js';
+import { DATA_EXPORTS } from '../js/exporters.js';
+import { LOCALES, DEFAULT_LOCALE, setLocale } from '../js/i18n.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Parses command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { out, dataset, formats, lang, help }
+ * @throws {Error} On unknown options, formats or languages
+ */
+function parseArgs(args) {
+  const options = { out: join(ROOT, 'exports'), dataset: null, formats: [], lang: DEFAULT_LOCALE, help: false };
+  const formats = new Set(Object.values(DATA_EXPORTS).map(file => file.format));
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--out') options.out = resolve(args[++i] || '');
+    else if (arg === '--dataset') options.dataset = args[++i];
+    else if (arg === '--format') options.formats.push(args[++i]);
+    else if (arg === '--lang') options.lang = args[++i];
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  options.formats.forEach(format => {
+    if (!formats.has(format)) throw new Error(`Unknown format: ${format} (expected ${[...formats].join(', ')})`);
+  });
+  if (!LOCALES[options.lang]) {
+    throw new Error(`Unknown language: ${options.lang} (expected ${Object.keys(LOCALES).join(', ')})`);
+  }
+
+  return options;
+}
+
+/**
+ * Reads config/datasets.json and picks a dataset
+ * @param {string} [id] - Dataset id (default: the manifest's default dataset)
+ * @returns {Object} Dataset entry ({ id, file, title })
+ * @throws {Error} If the manifest cannot be read or does not list the dataset
+ */
+function readDataset(id) {
+  const manifest = JSON.parse(readFileSync(join(ROOT, 'config/datasets.json'), 'utf8'));
+  const ids = (manifest.datasets || []).map(dataset => dataset.id);
+  if (id && !ids.includes(id)) throw new Error(`Unknown dataset: ${id} (expected ${ids.join(', ')})`);
+  return selectDataset(manifest, id);
+}
+
+/**
+ * Runs the command
+ * @returns {number} Exit code
+ */
+function main() {
+  let options;
+  let source;
+  let schema;
+
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      console.log('Usage: node scripts/export.mjs [--out <dir>] [--dataset <id>] [--format csv|jsonld|graphml|bibtex] [--lang fr|en]');
+      return 0;
+    }
+    source = readFileSync(join(ROOT, 'config', readDataset(options.dataset).file), 'utf8');
+    schema = JSON.parse(readFileSync(join(ROOT, 'config/movements.schema.json'), 'utf8'));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  // Pick the language before loading, so fields are localized once
+  setLocale(options.lang);
+
+  try {
+    initConfig(source, schema);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  const data = getConfigData();
+  mkdirSync(options.out, { recursive: true });
+
+  Object.entries(DATA_EXPORTS)
+    .filter(([, file]) => options.formats.length === 0 || options.formats.includes(file.format))
+    .forEach(([name, file]) => {
+      const path = join(options.out, name);
+      writeFileSync(path, file.build(data));
+      console.log(`  ${relative(process.cwd(), path) || path}`);
+    });
+
+  console.log('✅ Export complete');
+  return 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Data Check Command
+ * Validates, lints and summarizes movements.json offline, with the same code as the page
+ * Without files, also checks the guided tours of each dataset against tours.schema.json
+ *
+ * Usage: node scripts/validate.mjs [file...] [--schema <file>] [--strict] [--quiet]
+ *   file       Data files (default: every dataset listed in config/datasets.json, with its tours)
+ *   --schema   Schema file (default: movements.schema.json next to each data file)
+ *   --strict   Exit with an error on warnings too
+ *   --quiet    Only print issues, no summary report
+ *
+ * Exit codes: 0 valid, 1 validation errors (or warnings with --strict), 2 unreadable input
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { validateMovementData, validateTourData, locateJsonPointers } from '../js/validation.js';
+import { lintMovementData, summarizeMovementData } from '../js/lint.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Parses command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { files, schema, strict, quiet }
+ */
+function parseArgs(args) {
+  const options = { files: [], schema: null, strict: false, quiet: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--strict') options.strict = true;
+    else if (arg === '--quiet') options.quiet = true;
+    else if (arg === '--schema') options.schema = resolve(args[++i] || '');
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else options.files.push(resolve(arg));
+  }
+
+  return options;
+}
+
+/**
+ * Lists the data and tours files of the datasets in config/datasets.json
+ * @returns {Array<Object>} { file, tours? } absolute paths
+ * @throws {Error} If the manifest cannot be read or parsed
+ */
+function getDatasetFiles() {
+  const manifest = readJson(join(ROOT, 'config/datasets.json')).data;
+  return (manifest.datasets || []).map(dataset => ({
+    file: join(ROOT, 'config', dataset.file),
+    tours: dataset.tours ? join(ROOT, 'config', dataset.tours) : null
+  }));
+}
+
+/**
+ * Reads and parses a JSON file
+ * Syntax errors are reported with their line and column
+ * @param {string} file - Path to the file
+ * @returns {Object} { text, data }
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function readJson(file) {
+  const text = readFileSync(file, 'utf8');
+
+  try {
+    return { text, data: JSON.parse(text) };
+  } catch (error) {
+    const match = error.message.match(/position (\d+)/);
+    if (match) {
+      const before = text.slice(0, Number(match[1])).split('\n');
+      throw new Error(`${displayPath(file)}:${before.length}:${before[before.length - 1].length + 1}: ${error.message}`);
+    }
+    throw new Error(`${displayPath(file)}: ${error.message}`);
+  }
+}
+
+/**
+ * Shortens a path for display
+ * @param {string} file - Absolute path
+ * @returns {string} Path relative to the working directory
+ */
+function displayPath(file) {
+  return relative(process.cwd(), file) || file;
+}
+
+/**
+ * Prints issues as "file:line:col  severity  pointer  message"
+ * @param {string} file - Data file
+ * @param {Array} issues - Issues with path, message and optional line/column
+ * @param {string} severity - 'error' or 'warning'
+ */
+function printIssues(file, issues, severity) {
+  [...issues].sort((a, b) => (a.line || 0) - (b.line || 0)).forEach(issue => {
+    const where = issue.line ? `${displayPath(file)}:${issue.line}:${issue.column}` : displayPath(file);
+    console.log(`${where}  ${severity.padEnd(7)}  ${issue.path || '/'}  ${issue.message}`);
+  });
+}
+
+/**
+ * Prints the summary report
+ * @param {Object} summary - Result of summarizeMovementData()
+ */
+function printSummary(summary) {
+  const { totals, decades, orphans } = summary;
+
+  console.log('');
+  console.log(`${totals.movements} movements, ${totals.authors} authors, ${totals.works} works, ${totals.connections} connections`);
+  console.log('');
+  console.log('Decade  Movements  Works');
+  decades.forEach(({ decade, movements, works }) => {
+    console.log(`${`${decade}s`.padEnd(6)}  ${String(movements).padStart(9)}  ${String(works).padStart(5)}`);
+  });
+  console.log('');
+  console.log(`Orphan movements (no connection): ${orphans.length > 0 ? orphans.join(', ') : 'none'}`);
+}
+
+/**
+ * Validates, lints and summarizes one data file
+ * @param {string} file - Data file
+ * @param {Object} options - Parsed options
+ * @returns {Object} { errors, warnings } counts and the parsed data
+ * @throws {Error} If the data or schema file cannot be read or parsed
+ */
+function checkFile(file, options) {
+  const input = readJson(file);
+  const schema = readJson(options.schema || join(dirname(file), 'movements.schema.json')).data;
+
+  const { errors, warnings } = validateMovementData(input.data, schema, input.text);
+
+  // Lints assume valid data
+  if (errors.length === 0) {
+    const locations = locateJsonPointers(input.text);
+    lintMovementData(input.data).forEach(warning => {
+      warnings.push({ ...warning, ...(locations.get(warning.path) || {}) });
+    });
+  }
+
+  printIssues(file, errors, 'error');
+  printIssues(file, warnings, 'warning');
+
+  if (!options.quiet && errors.length === 0) {
+    printSummary(summarizeMovementData(input.data));
+  }
+
+  return { errors: errors.length, warnings: warnings.length, data: input.data };
+}
+
+/**
+ * Validates a tours file against the dataset it walks through
+ * @param {string} file - Tours file
+ * @param {Object} data - Parsed data file of the dataset
+ * @returns {Object} { errors, warnings } counts
+ * @throws {Error} If the tours or schema file cannot be read or parsed
+ */
+function checkTours(file, data) {
+  const input = readJson(file);
+  const schema = readJson(join(ROOT, 'config/tours.schema.json')).data;
+
+  const { errors, warnings } = validateTourData(input.data, schema, data, input.text);
+
+  printIssues(file, errors, 'error');
+  printIssues(file, warnings, 'warning');
+
+  return { errors: errors.length, warnings: warnings.length };
+}
+
+/**
+ * Runs the command
+ * @returns {number} Exit code
+ */
+function main() {
+  let options;
+  let datasets;
+
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      console.log('Usage: node scripts/validate.mjs [file...] [--schema <file>] [--strict] [--quiet]');
+      return 0;
+    }
+    datasets = options.files.length > 0 ? options.files.map(file => ({ file })) : getDatasetFiles();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  let errors = 0;
+  let warnings = 0;
+
+  for (const { file, tours } of datasets) {
+    if (datasets.length > 1 && !options.quiet) console.log(`\n📄 ${displayPath(file)}`);
+
+    try {
+      const counts = checkFile(file, options);
+      errors += counts.errors;
+      warnings += counts.warnings;
+
+      // Tour references are only meaningful against valid data
+      if (tours && counts.errors === 0) {
+        const tourCounts = checkTours(tours, counts.data);
+        errors += tourCounts.errors;
+        warnings += tourCounts.warnings;
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 2;
+    }
+  }
+
+  console.log('');
+  if (errors > 0) {
+    console.log(`❌ ${errors} error(s), ${warnings} warning(s)`);
+    return 1;
+  }
+  if (warnings > 0) {
+    console.log(`⚠️ ${warnings} warning(s)`);
+    return options.strict ? 1 : 0;
+  }
+  console.log('✅ No issues');
+  return 0;
+}
+
+process.exitCode = main();